@@ -1,3 +1,3 @@
 #!/usr/bin/env node
 
-require("../lib/build-mr-context.js");
+require("../lib/build-mr-context.js").main();
@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+
+require("../lib/review-gate.js").main();
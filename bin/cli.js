@@ -37,7 +37,7 @@ program
       console.log(chalk.yellow('   → GEMINI_API_KEY'));
       console.log(chalk.yellow('   → GITLAB_REVIEW_PAT'));
       console.log('2. Commit and push:');
-      console.log(chalk.gray('   git add .gitlab-ci.yml .gitlab/ gitlab-mcp-server.js package.json'));
+      console.log(chalk.gray('   git add .gitlab-ci.yml .gitlab/ gitlab-mcp-server.js gitlab-diff-model.js gitlab-finding-metadata.js package.json'));
       console.log(chalk.gray('   git commit -m "Add Gemini AI code review"'));
       console.log(chalk.gray('   git push'));
       console.log('');
@@ -93,6 +93,73 @@ program
     }
   });
 
+program
+  .command('plan [file]')
+  .description('Show (or apply) the mutations recorded by the MCP server in dry-run mode')
+  .option('--apply', 'Replay the recorded mutations against GitLab')
+  .option('--gitlab-url <url>', 'GitLab instance URL (defaults to GITLAB_API_URL)')
+  .option('--token <token>', 'GitLab Personal Access Token (defaults to GITLAB_REVIEW_PAT)')
+  .option('-y, --yes', 'Apply without confirmation')
+  .action(async (file, options) => {
+    try {
+      const prompts = require('prompts');
+      const { DEFAULT_PLAN_FILE, readPlan, formatPlanEntry, applyPlan } = require('../lib/plan');
+
+      const planPath = file || DEFAULT_PLAN_FILE;
+      const entries = await readPlan(planPath);
+
+      console.log(chalk.bold.cyan(`\n📝 ${entries.length} planned mutation(s) in ${planPath}\n`));
+      entries.forEach((entry, index) => {
+        console.log(formatPlanEntry(entry, index));
+        console.log('');
+      });
+
+      if (!options.apply || entries.length === 0) {
+        return;
+      }
+
+      const gitlabUrl = options.gitlabUrl || process.env.GITLAB_API_URL;
+      const token = options.token || process.env.GITLAB_REVIEW_PAT;
+      if (!gitlabUrl || !token) {
+        throw new Error('Applying a plan requires --gitlab-url and --token (or GITLAB_API_URL and GITLAB_REVIEW_PAT)');
+      }
+
+      if (!options.yes) {
+        const response = await prompts({
+          type: 'confirm',
+          name: 'apply',
+          message: `Apply ${entries.length} mutation(s) to ${gitlabUrl}?`,
+          initial: false
+        });
+        if (!response.apply) {
+          console.log(chalk.gray('→ Plan not applied'));
+          return;
+        }
+      }
+
+      const results = await applyPlan(entries, { gitlabUrl, token });
+      let failed = 0;
+      results.forEach((result, index) => {
+        const label = `#${index + 1} ${result.entry.method} ${result.entry.endpoint}`;
+        if (result.status === 'applied') {
+          console.log(chalk.green(`✓ ${label}`));
+        } else if (result.status === 'skipped') {
+          console.log(chalk.yellow(`→ ${label} (skipped)`));
+        } else {
+          failed += 1;
+          console.log(chalk.red(`✗ ${label}: ${result.error}`));
+        }
+      });
+
+      if (failed > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse(process.argv);
 
 // Show help if no command provided
@@ -0,0 +1,249 @@
+/**
+ * gitlab-diff-model.js
+ *
+ * Turns GitLab merge request changes into a line-level diff model: hunks with
+ * per-line type plus old/new line numbers. The MCP server uses it to build diff
+ * positions for added, removed and unchanged lines, and build-mr-context.js uses
+ * it to describe where existing discussions are anchored.
+ */
+
+const crypto = require("crypto");
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+const BINARY_MARKER = /^Binary files .* differ$/m;
+
+const LINE_TYPES = {
+  added: "added",
+  removed: "removed",
+  context: "context",
+};
+
+/**
+ * Parse a unified diff into hunks.
+ *
+ * Each line carries `type`, `content`, `oldLine` (null for added lines) and
+ * `newLine` (null for removed lines). `oldPos`/`newPos` mirror GitLab's own
+ * diff parser (the running counters on both sides) and feed `line_code`.
+ * `\ No newline at end of file` markers flag the preceding line with
+ * `noNewlineAtEof` instead of consuming a line number.
+ */
+function parseUnifiedDiff(diffText) {
+  const hunks = [];
+  if (!diffText || typeof diffText !== "string") {
+    return hunks;
+  }
+
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  for (const raw of diffText.split(/\r?\n/)) {
+    const header = HUNK_HEADER.exec(raw);
+    if (header) {
+      oldLine = parseInt(header[1], 10);
+      newLine = parseInt(header[3], 10);
+      oldRemaining = header[2] === undefined ? 1 : parseInt(header[2], 10);
+      newRemaining = header[4] === undefined ? 1 : parseInt(header[4], 10);
+      hunk = {
+        oldStart: oldLine,
+        oldCount: oldRemaining,
+        newStart: newLine,
+        newCount: newRemaining,
+        section: header[5] || "",
+        lines: [],
+      };
+      hunks.push(hunk);
+      continue;
+    }
+    if (!hunk) {
+      // File headers (diff --git, ---/+++, index) precede the first hunk
+      continue;
+    }
+    if (raw.startsWith("\\")) {
+      const previous = hunk.lines[hunk.lines.length - 1];
+      if (previous) previous.noNewlineAtEof = true;
+      continue;
+    }
+    if (oldRemaining <= 0 && newRemaining <= 0) {
+      // Trailing text after the hunk's declared line counts
+      continue;
+    }
+
+    const marker = raw.charAt(0);
+    const content = raw.slice(1);
+    if (marker === "+" && newRemaining > 0) {
+      hunk.lines.push({ type: LINE_TYPES.added, content, oldLine: null, newLine, oldPos: oldLine, newPos: newLine });
+      newLine += 1;
+      newRemaining -= 1;
+    } else if (marker === "-" && oldRemaining > 0) {
+      hunk.lines.push({ type: LINE_TYPES.removed, content, oldLine, newLine: null, oldPos: oldLine, newPos: newLine });
+      oldLine += 1;
+      oldRemaining -= 1;
+    } else if (marker === " " || raw === "") {
+      // Some diff producers strip the leading space from blank context lines
+      hunk.lines.push({
+        type: LINE_TYPES.context,
+        content: marker === " " ? content : "",
+        oldLine,
+        newLine,
+        oldPos: oldLine,
+        newPos: newLine,
+      });
+      oldLine += 1;
+      newLine += 1;
+      oldRemaining -= 1;
+      newRemaining -= 1;
+    }
+  }
+
+  return hunks;
+}
+
+function isBinaryChange(change) {
+  if (!change) return false;
+  if (change.binary === true) return true;
+  return BINARY_MARKER.test(change.diff || "");
+}
+
+/**
+ * Build the model for a single GitLab change entry (from /changes or /diffs).
+ */
+function buildFileDiff(change) {
+  const binary = isBinaryChange(change);
+  const hunks = binary ? [] : parseUnifiedDiff(change.diff || change.patch || "");
+  return {
+    oldPath: change.old_path || change.new_path || null,
+    newPath: change.new_path || change.old_path || null,
+    newFile: Boolean(change.new_file),
+    deletedFile: Boolean(change.deleted_file),
+    renamedFile: Boolean(change.renamed_file),
+    binary,
+    tooLarge: Boolean(change.too_large || change.collapsed),
+    hunks,
+    lines: hunks.flatMap((hunk) => hunk.lines),
+  };
+}
+
+function buildDiffModel(changes) {
+  return (Array.isArray(changes) ? changes : []).map(buildFileDiff);
+}
+
+function findFileDiff(model, filePath) {
+  if (!filePath) return null;
+  return (model || []).find((file) => file.newPath === filePath || file.oldPath === filePath) || null;
+}
+
+/**
+ * Find the diff line numbered `lineNumber` on the given side ("new" or "old").
+ * Added lines only exist on the new side, removed lines only on the old side,
+ * context lines on both.
+ */
+function findDiffLine(fileDiff, lineNumber, side = "new") {
+  if (!fileDiff || typeof lineNumber !== "number") return null;
+  const key = side === "old" ? "oldLine" : "newLine";
+  return fileDiff.lines.find((line) => line[key] === lineNumber) || null;
+}
+
+/**
+ * Answer "is line N of file F part of this diff, and on which side?".
+ * Returns `{ file, line }` or null when the line is not visible in the diff.
+ */
+function locateDiffLine(model, filePath, lineNumber, side = "new") {
+  const file = findFileDiff(model, filePath);
+  const line = findDiffLine(file, lineNumber, side);
+  return line ? { file, line } : null;
+}
+
+function linesOfType(fileDiff, types) {
+  if (!fileDiff) return [];
+  const wanted = new Set(Array.isArray(types) ? types : [types]);
+  return fileDiff.lines.filter((line) => wanted.has(line.type));
+}
+
+/**
+ * Build a GitLab text diff position for a model line. Added lines anchor on
+ * `new_line`, removed lines on `old_line`, unchanged lines need both.
+ */
+function buildDiffPosition(diffRefs, fileDiff, line) {
+  const position = {
+    position_type: "text",
+    base_sha: diffRefs.base_sha,
+    start_sha: diffRefs.start_sha,
+    head_sha: diffRefs.head_sha,
+    old_path: fileDiff.oldPath,
+    new_path: fileDiff.newPath,
+  };
+  if (line.type !== LINE_TYPES.removed) position.new_line = line.newLine;
+  if (line.type !== LINE_TYPES.added) position.old_line = line.oldLine;
+  return position;
+}
+
+/**
+ * GitLab's line code: sha1 of the file path plus the old/new line counters.
+ */
+function lineCode(filePath, line) {
+  const hash = crypto.createHash("sha1").update(filePath).digest("hex");
+  return `${hash}_${line.oldPos}_${line.newPos}`;
+}
+
+function buildLineRangeEndpoint(fileDiff, line) {
+  return {
+    line_code: lineCode(fileDiff.newPath || fileDiff.oldPath, line),
+    type: line.type === LINE_TYPES.added ? "new" : "old",
+    old_line: line.oldLine,
+    new_line: line.newLine,
+  };
+}
+
+/**
+ * Build a multi-line position. GitLab anchors the note on the last line of the
+ * range and highlights everything from `start` to `end` via `line_range`.
+ */
+function buildRangePosition(diffRefs, fileDiff, startLine, endLine) {
+  let first = startLine;
+  let last = endLine;
+  if (fileDiff.lines.indexOf(first) > fileDiff.lines.indexOf(last)) {
+    [first, last] = [last, first];
+  }
+  const position = buildDiffPosition(diffRefs, fileDiff, last);
+  if (first !== last) {
+    position.line_range = {
+      start: buildLineRangeEndpoint(fileDiff, first),
+      end: buildLineRangeEndpoint(fileDiff, last),
+    };
+  }
+  return position;
+}
+
+/**
+ * Describe where an existing GitLab position points: its file, line and side.
+ */
+function describePosition(position) {
+  if (!position) return null;
+  const hasNew = typeof position.new_line === "number";
+  const hasOld = typeof position.old_line === "number";
+  return {
+    path: position.new_path || position.old_path || null,
+    line: hasNew ? position.new_line : hasOld ? position.old_line : null,
+    side: hasNew && hasOld ? "both" : hasNew ? "new" : hasOld ? "old" : null,
+  };
+}
+
+module.exports = {
+  LINE_TYPES,
+  parseUnifiedDiff,
+  isBinaryChange,
+  buildFileDiff,
+  buildDiffModel,
+  findFileDiff,
+  findDiffLine,
+  locateDiffLine,
+  linesOfType,
+  buildDiffPosition,
+  lineCode,
+  buildLineRangeEndpoint,
+  buildRangePosition,
+  describePosition,
+};
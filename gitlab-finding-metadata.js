@@ -0,0 +1,215 @@
+/**
+ * gitlab-finding-metadata.js
+ *
+ * Hidden, machine-readable metadata for bot review comments. Notes posted by the
+ * MCP server end with an invisible `<!-- gemini:{...} -->` JSON block carrying a
+ * stable fingerprint, severity, rule id, location, anchor fingerprint, reviewed SHA
+ * and skill version.
+ * The server keys dedupe and list_bot_findings off it, build-mr-context.js uses
+ * it to describe earlier findings and review-gate.js to count blocking ones.
+ */
+
+const crypto = require("crypto");
+
+const METADATA_VERSION = 1;
+const METADATA_BLOCK = /\n*<!--\s*gemini:(\{[\s\S]*?\})\s*-->/;
+const ANCHOR_WINDOW = 2;
+
+// Reply tokens with which a human waives a finding
+const IGNORE_PATTERNS = [
+  /@gemini\s+ignore/i,
+  /\/gemini\s+ignore/i,
+  /<!--\s*gemini-ignore\s*-->/i,
+];
+
+// Severity prefixes from the reviewer skill, most severe first
+const SEVERITY_LEVELS = [
+  { id: "critical", emoji: "🔴", rank: 4 },
+  { id: "high", emoji: "🟠", rank: 3 },
+  { id: "medium", emoji: "🟡", rank: 2 },
+  { id: "low", emoji: "🟢", rank: 1 },
+];
+
+/**
+ * Lowercased, whitespace-collapsed first line of a comment: the finding's title.
+ */
+function normalizeIssueSignature(body) {
+  if (!body || typeof body !== "string") {
+    return null;
+  }
+  const firstContentLine = body
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .find((line) => line.length > 0);
+  if (!firstContentLine) {
+    return null;
+  }
+  return firstContentLine.replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Severity id ("critical", "high", "medium", "low") from the emoji prefix on the
+ * first line of a comment, or null when there is none.
+ */
+function parseSeverity(body) {
+  const title = normalizeIssueSignature(body);
+  if (!title) return null;
+  const level = SEVERITY_LEVELS.find((candidate) => title.includes(candidate.emoji));
+  return level ? level.id : null;
+}
+
+/**
+ * Stable identity of a finding: the file plus its rule id, or plus its title when
+ * the model did not name a rule. Line numbers are left out because they shift.
+ */
+function computeFingerprint({ file = null, rule = null, body = null } = {}) {
+  const identity = rule ? `rule:${rule}` : normalizeIssueSignature(body) || "";
+  return crypto.createHash("sha1").update(`${file || ""}|${identity}`).digest("hex").slice(0, 16);
+}
+
+function normalizeCodeLine(line) {
+  return String(line ?? "").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Fingerprint of the code a finding points at: the anchored line plus up to
+ * `window` non-blank lines on each side, whitespace-normalized. Unlike a line
+ * number it survives edits elsewhere in the file, re-indentation and renames.
+ */
+function computeAnchorFingerprint(fileLines, lineNumber, { window = ANCHOR_WINDOW } = {}) {
+  if (!Array.isArray(fileLines) || typeof lineNumber !== "number" || lineNumber < 1 || lineNumber > fileLines.length) {
+    return null;
+  }
+  const index = lineNumber - 1;
+  const neighbours = (step) => {
+    const found = [];
+    for (let i = index + step; i >= 0 && i < fileLines.length && found.length < window; i += step) {
+      const normalized = normalizeCodeLine(fileLines[i]);
+      if (normalized) found.push(normalized);
+    }
+    return found;
+  };
+  const snippet = [...neighbours(-1).reverse(), normalizeCodeLine(fileLines[index]), ...neighbours(1)];
+  return crypto.createHash("sha1").update(snippet.join("\n")).digest("hex").slice(0, 16);
+}
+
+function buildFindingMetadata({
+  kind = "finding",
+  body = null,
+  file = null,
+  line = null,
+  anchor = null,
+  rule = null,
+  sha = null,
+  skill = null,
+  fingerprint = null,
+} = {}) {
+  return {
+    v: METADATA_VERSION,
+    kind,
+    fingerprint: fingerprint || computeFingerprint({ file, rule, body }),
+    severity: parseSeverity(body),
+    rule: rule || null,
+    file: file || null,
+    line: typeof line === "number" ? line : null,
+    anchor: anchor || null,
+    sha: sha || null,
+    skill: skill || null,
+  };
+}
+
+function parseFindingMetadata(body) {
+  const match = typeof body === "string" ? METADATA_BLOCK.exec(body) : null;
+  if (!match) return null;
+  try {
+    const metadata = JSON.parse(match[1]);
+    return metadata && typeof metadata === "object" ? metadata : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function stripFindingMetadata(body) {
+  return typeof body === "string" ? body.replace(METADATA_BLOCK, "") : body;
+}
+
+/**
+ * Append (or replace) the metadata block. `>` is escaped so the JSON can never
+ * close the HTML comment early.
+ */
+function withFindingMetadata(body, metadata) {
+  const json = JSON.stringify(metadata).replace(/>/g, "\\u003e");
+  return `${stripFindingMetadata(body || "").replace(/\s+$/, "")}\n\n<!-- gemini:${json} -->`;
+}
+
+function matchesIgnoreMarker(text) {
+  return IGNORE_PATTERNS.some((pattern) => pattern.test(text || ""));
+}
+
+/**
+ * Count the unresolved findings `botUser` opened at or above `threshold`
+ * severity. Threads waived with an ignore marker, or listed in `ignoredIds`,
+ * are reported separately and never block. The gate fails when more than
+ * `maxFindings` findings remain.
+ */
+function evaluateSeverityGate(discussions, botUser, { threshold = "critical", maxFindings = 0, ignoredIds = [] } = {}) {
+  const floor = SEVERITY_LEVELS.find((level) => level.id === threshold);
+  if (!floor) {
+    throw new Error(`Unknown severity threshold "${threshold}"; use ${SEVERITY_LEVELS.map((level) => level.id).join(", ")}`);
+  }
+  const waived = new Set(ignoredIds);
+  const counts = Object.fromEntries(SEVERITY_LEVELS.map((level) => [level.id, 0]));
+  const blocking = [];
+  const ignored = [];
+
+  for (const discussion of Array.isArray(discussions) ? discussions : []) {
+    const notes = (discussion.notes || []).filter((note) => note && !note.system);
+    const first = notes[0];
+    if (!first || !botUser?.id || first.author?.id !== botUser.id) continue;
+    if (!first.resolvable || first.resolved) continue;
+    const metadata = parseFindingMetadata(first.body);
+    if (metadata?.kind && metadata.kind !== "finding") continue;
+    const severity = metadata?.severity || parseSeverity(stripFindingMetadata(first.body));
+    const level = SEVERITY_LEVELS.find((candidate) => candidate.id === severity);
+    if (!level) continue;
+    if (waived.has(discussion.id) || notes.some((note) => matchesIgnoreMarker(note.body))) {
+      ignored.push(discussion.id);
+      continue;
+    }
+    counts[level.id] += 1;
+    if (level.rank >= floor.rank) {
+      blocking.push({
+        discussion_id: discussion.id,
+        note_id: first.id,
+        severity: level.id,
+        file: metadata?.file || first.position?.new_path || first.position?.old_path || null,
+        line: metadata?.line ?? first.position?.new_line ?? first.position?.old_line ?? null,
+        title: normalizeIssueSignature(stripFindingMetadata(first.body)),
+      });
+    }
+  }
+
+  return {
+    passed: blocking.length <= maxFindings,
+    threshold: floor.id,
+    max_findings: maxFindings,
+    counts,
+    blocking,
+    ignored,
+  };
+}
+
+module.exports = {
+  METADATA_VERSION,
+  SEVERITY_LEVELS,
+  normalizeIssueSignature,
+  parseSeverity,
+  computeFingerprint,
+  computeAnchorFingerprint,
+  buildFindingMetadata,
+  parseFindingMetadata,
+  stripFindingMetadata,
+  withFindingMetadata,
+  matchesIgnoreMarker,
+  evaluateSeverityGate,
+};
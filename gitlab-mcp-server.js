@@ -3,13 +3,42 @@
 const { Server } = require("@modelcontextprotocol/sdk/server/index.js");
 const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
 const { CallToolRequestSchema, ListToolsRequestSchema } = require("@modelcontextprotocol/sdk/types.js");
+const fs = require("fs");
+const { AsyncLocalStorage } = require("async_hooks");
 const fetch = require("node-fetch");
+const {
+  LINE_TYPES,
+  buildDiffModel,
+  findFileDiff,
+  findDiffLine,
+  linesOfType,
+  buildDiffPosition,
+  buildLineRangeEndpoint,
+  buildRangePosition,
+  describePosition,
+} = require("./gitlab-diff-model.js");
+const {
+  SEVERITY_LEVELS,
+  normalizeIssueSignature,
+  parseSeverity,
+  computeFingerprint,
+  computeAnchorFingerprint,
+  buildFindingMetadata,
+  parseFindingMetadata,
+  stripFindingMetadata,
+  withFindingMetadata,
+  evaluateSeverityGate,
+} = require("./gitlab-finding-metadata.js");
 
 const GITLAB_API_URL = process.env.GITLAB_API_URL || "https://gitlab.example.com/api/v4";
 const GITLAB_TOKEN = process.env.GITLAB_PERSONAL_ACCESS_TOKEN;
 const GITLAB_TOKEN_HEADER = process.env.GITLAB_TOKEN_HEADER || "Authorization"; // "JOB-TOKEN", "PRIVATE-TOKEN", or "Authorization"
 
-if (!GITLAB_TOKEN && require.main === module) {
+// Fixture mode: "record" captures scrubbed request/response pairs, "replay" serves them offline
+const GITLAB_MCP_FIXTURES = (process.env.GITLAB_MCP_FIXTURES || "").trim().toLowerCase();
+const GITLAB_MCP_FIXTURES_FILE = process.env.GITLAB_MCP_FIXTURES_FILE || "gitlab-mcp-fixtures.jsonl";
+
+if (!GITLAB_TOKEN && GITLAB_MCP_FIXTURES !== "replay" && require.main === module) {
   console.error("GITLAB_PERSONAL_ACCESS_TOKEN environment variable is required");
   process.exit(1);
 }
@@ -26,33 +55,554 @@ const server = new Server(
   }
 );
 
-// Helper function to make GitLab API calls
-async function gitlabApi(endpoint, options = {}) {
-  if (!GITLAB_TOKEN) {
-    throw new Error("GITLAB_PERSONAL_ACCESS_TOKEN environment variable is required");
+const GITLAB_MAX_PAGES = Math.max(1, Number(process.env.GITLAB_MAX_PAGES || 20));
+const GITLAB_ALL_PAGES_PER_PAGE = 100;
+const GITLAB_RETRY_MAX_ATTEMPTS = Math.max(1, Number(process.env.GITLAB_RETRY_MAX_ATTEMPTS || 4));
+const GITLAB_RETRY_BASE_DELAY_MS = Number(process.env.GITLAB_RETRY_BASE_DELAY_MS || 500);
+const GITLAB_RETRY_MAX_DELAY_MS = Number(process.env.GITLAB_RETRY_MAX_DELAY_MS || 30000);
+// POST/PUT/DELETE are only retried when explicitly opted in (env or per-call `retry: true`)
+const GITLAB_RETRY_MUTATIONS = /^(1|true|yes)$/i.test(process.env.GITLAB_RETRY_MUTATIONS || "");
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+// Dry-run: mutations are appended to a JSONL plan file instead of being sent to GitLab
+const GITLAB_MCP_DRY_RUN = /^(1|true|yes)$/i.test(process.env.GITLAB_MCP_DRY_RUN || "");
+const GITLAB_MCP_PLAN_FILE = process.env.GITLAB_MCP_PLAN_FILE || "gitlab-mcp-plan.jsonl";
+// Draft mode stages inline comments as draft notes that are published in one batch
+const GITLAB_MCP_REVIEW_MODE = /^draft$/i.test((process.env.GITLAB_MCP_REVIEW_MODE || "").trim()) ? "draft" : "live";
+// Reviewer skill version recorded in the metadata of every bot note
+const GITLAB_MCP_SKILL_VERSION = process.env.GITLAB_MCP_SKILL_VERSION || null;
+// Suggestion blocks are checked against the head blob before posting unless disabled
+const GITLAB_MCP_VALIDATE_SUGGESTIONS = !/^(0|false|no|off)$/i.test(process.env.GITLAB_MCP_VALIDATE_SUGGESTIONS || "");
+// Per-process cap on new inline findings (0 = unlimited) and the lowest severity posted inline
+const GITLAB_MCP_INLINE_BUDGET = Math.max(0, Math.floor(Number(process.env.GITLAB_MCP_INLINE_BUDGET || 0)) || 0);
+const GITLAB_MCP_MIN_SEVERITY = findSeverityLevel(process.env.GITLAB_MCP_MIN_SEVERITY);
+// Auto-approval is opt-in and limited to MRs whose changes all match the allowed path globs
+const GITLAB_MCP_AUTO_APPROVE = /^(1|true|yes)$/i.test(process.env.GITLAB_MCP_AUTO_APPROVE || "");
+const GITLAB_MCP_AUTO_APPROVE_PATHS = parseToolList(process.env.GITLAB_MCP_AUTO_APPROVE_PATHS);
+const GITLAB_MCP_AUTO_APPROVE_SEVERITY = (findSeverityLevel(process.env.GITLAB_MCP_AUTO_APPROVE_SEVERITY) || { id: "low" }).id;
+// Default cap on the text get_file_contents returns, so one large file cannot fill the model's context
+const GITLAB_MCP_FILE_MAX_BYTES = Math.max(1, Math.floor(Number(process.env.GITLAB_MCP_FILE_MAX_BYTES || 65536)) || 65536);
+
+// Tracks which tool issued a request so dry-run plan entries can name it
+const toolContext = new AsyncLocalStorage();
+
+function buildAuthHeaders() {
+  if (GITLAB_TOKEN_HEADER === "JOB-TOKEN") return { "JOB-TOKEN": GITLAB_TOKEN };
+  if (GITLAB_TOKEN_HEADER === "PRIVATE-TOKEN") return { "PRIVATE-TOKEN": GITLAB_TOKEN };
+  return { "Authorization": `Bearer ${GITLAB_TOKEN}` };
+}
+
+// Parse an RFC 5988 Link header into a { rel: url } map
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header || typeof header !== "string") {
+    return links;
+  }
+  for (const part of header.split(",")) {
+    const match = /<([^>]+)>\s*;\s*rel="?([^";]+)"?/.exec(part.trim());
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  }
+  return links;
+}
+
+// Resolve the URL of the next page from GitLab's Link / X-Next-Page headers.
+// Link URLs pointing at a different origin are ignored so the token never leaves the API host.
+function resolveNextPageUrl(currentUrl, headers, apiUrl = GITLAB_API_URL) {
+  const getHeader = (key) =>
+    headers && typeof headers.get === "function" ? headers.get(key) : headers?.[key];
+
+  const nextLink = parseLinkHeader(getHeader("link")).next;
+  if (nextLink) {
+    try {
+      if (new URL(nextLink).origin === new URL(apiUrl).origin) {
+        return nextLink;
+      }
+    } catch (error) {
+      // Malformed Link header; fall back to X-Next-Page
+    }
+  }
+
+  const nextPage = getHeader("x-next-page");
+  if (nextPage && String(nextPage).trim() !== "") {
+    const url = new URL(currentUrl);
+    url.searchParams.set("page", String(nextPage).trim());
+    return url.toString();
+  }
+  return null;
+}
+
+const SENSITIVE_QUERY_PARAMS = ["private_token", "access_token", "job_token", "token"];
+
+// Strip the API base and any token-bearing query parameters from a request URL
+function redactEndpoint(url) {
+  if (!url) return url;
+  const relative = url.startsWith(GITLAB_API_URL) ? url.slice(GITLAB_API_URL.length) : url;
+  const [pathPart, query] = relative.split("?");
+  if (!query) return pathPart;
+  const params = new URLSearchParams(query);
+  for (const key of SENSITIVE_QUERY_PARAMS) {
+    if (params.has(key)) params.set(key, "[redacted]");
+  }
+  return `${pathPart}?${params.toString()}`;
+}
+
+function categorizeGitlabStatus(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 404) return "not_found";
+  if (status === 400 || status === 409 || status === 422) return "validation";
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "server";
+  return "unknown";
+}
+
+// Flatten GitLab's `message` (string, array or field -> errors map) into one line
+function formatGitlabMessage(message) {
+  if (message === null || message === undefined) return null;
+  if (typeof message === "string") return message;
+  if (Array.isArray(message)) return message.map(formatGitlabMessage).join("; ");
+  if (typeof message === "object") {
+    return Object.entries(message)
+      .map(([field, value]) => `${field}: ${formatGitlabMessage(value)}`)
+      .join("; ");
+  }
+  return String(message);
+}
+
+class GitLabApiError extends Error {
+  constructor({ status, statusText, method, url, body }) {
+    let parsed = null;
+    try {
+      parsed = body ? JSON.parse(body) : null;
+    } catch (error) {
+      parsed = null;
+    }
+    const gitlabMessage = parsed && typeof parsed === "object" ? formatGitlabMessage(parsed.message) : null;
+    const gitlabError =
+      parsed && typeof parsed === "object" && parsed.error
+        ? [parsed.error, parsed.error_description].filter(Boolean).join(": ")
+        : null;
+    const detail = gitlabMessage || gitlabError || (parsed ? null : (body || "").trim().slice(0, 300) || null);
+
+    super(`GitLab API error: ${status} ${statusText}${detail ? ` - ${detail}` : ""}`);
+    this.name = "GitLabApiError";
+    this.status = status;
+    this.statusText = statusText;
+    this.method = method;
+    this.endpoint = redactEndpoint(url);
+    this.category = categorizeGitlabStatus(status);
+    this.gitlabMessage = gitlabMessage;
+    this.gitlabError = gitlabError;
+  }
+
+  toJSON() {
+    return {
+      category: this.category,
+      status: this.status,
+      status_text: this.statusText,
+      method: this.method,
+      endpoint: this.endpoint,
+      message: this.gitlabMessage,
+      error: this.gitlabError,
+    };
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+function shouldRetryMethod(method, retryOption) {
+  if (typeof retryOption === "boolean") {
+    return retryOption;
+  }
+  return IDEMPOTENT_METHODS.has(method) || GITLAB_RETRY_MUTATIONS;
+}
+
+// Delay before the next attempt. Server hints (Retry-After, RateLimit-Reset when the
+// remaining quota is exhausted) win; otherwise exponential backoff with equal jitter.
+function computeRetryDelay(attempt, headers, options = {}) {
+  const {
+    baseDelayMs = GITLAB_RETRY_BASE_DELAY_MS,
+    maxDelayMs = GITLAB_RETRY_MAX_DELAY_MS,
+    now = Date.now(),
+    random = Math.random,
+  } = options;
+  const getHeader = (key) =>
+    headers && typeof headers.get === "function" ? headers.get(key) : headers?.[key];
+
+  const retryAfter = getHeader("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const hinted = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - now;
+    if (Number.isFinite(hinted)) {
+      return Math.min(Math.max(hinted, 0), maxDelayMs);
+    }
+  }
+
+  const remaining = getHeader("ratelimit-remaining");
+  const reset = Number(getHeader("ratelimit-reset"));
+  if (remaining !== null && remaining !== undefined && Number(remaining) <= 0 && Number.isFinite(reset) && reset > 0) {
+    return Math.min(Math.max(reset * 1000 - now, 0), maxDelayMs);
+  }
+
+  const exponential = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  return Math.round(exponential / 2 + random() * (exponential / 2));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const FIXTURE_HEADERS = [
+  "content-type",
+  "link",
+  "x-next-page",
+  "x-page",
+  "x-per-page",
+  "x-total",
+  "x-total-pages",
+  "retry-after",
+  "ratelimit-remaining",
+  "ratelimit-reset",
+  "x-gitlab-blob-id",
+  "x-gitlab-commit-id",
+  "x-gitlab-size",
+  "x-gitlab-last-commit-id",
+];
+const SCRUBBED_FIXTURE_KEYS = /token|secret|password/i;
+const FIXTURE_API_PLACEHOLDER = "{GITLAB_API_URL}";
+
+// Recursively blank out credential-looking fields before a payload lands in a fixture
+function scrubFixtureValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(scrubFixtureValue);
+  }
+  if (value && typeof value === "object") {
+    const scrubbed = {};
+    for (const [key, item] of Object.entries(value)) {
+      scrubbed[key] = SCRUBBED_FIXTURE_KEYS.test(key) ? "[scrubbed]" : scrubFixtureValue(item);
+    }
+    return scrubbed;
+  }
+  return value;
+}
+
+function fixtureKey(method, endpoint) {
+  return `${method} ${endpoint}`;
+}
+
+let replayFixtures = null;
+const replayedRequests = [];
+
+function loadReplayFixtures() {
+  if (replayFixtures) {
+    return replayFixtures;
+  }
+  replayFixtures = new Map();
+  const content = fs.readFileSync(GITLAB_MCP_FIXTURES_FILE, "utf-8");
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const fixture = JSON.parse(line);
+    const key = fixtureKey(fixture.request.method, fixture.request.endpoint);
+    if (!replayFixtures.has(key)) {
+      replayFixtures.set(key, { served: 0, responses: [] });
+    }
+    replayFixtures.get(key).responses.push(fixture.response);
+  }
+  return replayFixtures;
+}
+
+function parseFixtureBody(rawBody) {
+  if (typeof rawBody !== "string" || rawBody.length === 0) {
+    return null;
+  }
+  try {
+    return JSON.parse(rawBody);
+  } catch (error) {
+    return rawBody;
+  }
+}
+
+function buildFixtureResponse(recorded) {
+  const headers = { ...(recorded.headers || {}) };
+  if (headers.link) {
+    headers.link = headers.link.split(FIXTURE_API_PLACEHOLDER).join(GITLAB_API_URL);
+  }
+  return new fetch.Response(recorded.body ?? "", {
+    status: recorded.status,
+    statusText: recorded.statusText,
+    headers,
+  });
+}
+
+// Serve a request from the fixture file; repeated calls walk the recorded sequence
+// and then keep returning the last response.
+function replayFixture(method, url, init) {
+  const endpoint = redactEndpoint(url);
+  const entry = loadReplayFixtures().get(fixtureKey(method, endpoint));
+  replayedRequests.push({ method, endpoint, body: parseFixtureBody(init.body) });
+  if (!entry) {
+    // Surface as a 404 so callers see a regular GitLabApiError instead of a retried network failure
+    return new fetch.Response(JSON.stringify({ message: `No recorded fixture for ${method} ${endpoint}` }), {
+      status: 404,
+      statusText: "Not Found",
+      headers: { "content-type": "application/json" },
+    });
+  }
+  const recorded = entry.responses[Math.min(entry.served, entry.responses.length - 1)];
+  entry.served += 1;
+  return buildFixtureResponse(recorded);
+}
+
+async function recordFixture(method, url, init, response) {
+  const text = await response.text();
+  const headers = {};
+  for (const name of FIXTURE_HEADERS) {
+    const value = response.headers.get(name);
+    if (value !== null) {
+      headers[name] = name === "link" ? value.split(GITLAB_API_URL).join(FIXTURE_API_PLACEHOLDER) : value;
+    }
+  }
+  let body = text;
+  try {
+    body = JSON.stringify(scrubFixtureValue(JSON.parse(text)));
+  } catch (error) {
+    // Plain-text payloads (job traces, raw files) are stored verbatim
   }
-  const url = `${GITLAB_API_URL}${endpoint}`;
-  const authHeaders = (() => {
-    if (GITLAB_TOKEN_HEADER === "JOB-TOKEN") return { "JOB-TOKEN": GITLAB_TOKEN };
-    if (GITLAB_TOKEN_HEADER === "PRIVATE-TOKEN") return { "PRIVATE-TOKEN": GITLAB_TOKEN };
-    return { "Authorization": `Bearer ${GITLAB_TOKEN}` };
-  })();
-  const response = await fetch(url, {
-    headers: {
-      ...authHeaders,
-      "Content-Type": "application/json",
-      ...options.headers,
+  const requestBody = parseFixtureBody(init.body);
+  const fixture = {
+    request: {
+      method,
+      endpoint: redactEndpoint(url),
+      body: requestBody && typeof requestBody === "object" ? sanitizeArgs(null, requestBody) : requestBody,
     },
-    ...options,
+    response: { status: response.status, statusText: response.statusText, headers, body },
+  };
+  fs.appendFileSync(GITLAB_MCP_FIXTURES_FILE, JSON.stringify(fixture) + "\n", "utf-8");
+  // The live caller still receives the unscrubbed payload
+  return new fetch.Response(text, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
   });
+}
+
+async function fetchWithFixtures(method, url, init) {
+  if (GITLAB_MCP_FIXTURES === "replay") {
+    return replayFixture(method, url, init);
+  }
+  const response = await fetch(url, init);
+  if (GITLAB_MCP_FIXTURES === "record") {
+    return recordFixture(method, url, init, response);
+  }
+  return response;
+}
+
+async function gitlabFetch(url, options = {}) {
+  if (!GITLAB_TOKEN && GITLAB_MCP_FIXTURES !== "replay") {
+    throw new Error("GITLAB_PERSONAL_ACCESS_TOKEN environment variable is required");
+  }
+  const { retry, ...fetchOptions } = options;
+  const method = (fetchOptions.method || "GET").toUpperCase();
+  const maxAttempts = shouldRetryMethod(method, retry) ? GITLAB_RETRY_MAX_ATTEMPTS : 1;
+  const endpoint = redactEndpoint(url);
+
+  for (let attempt = 1; ; attempt += 1) {
+    let response;
+    try {
+      response = await fetchWithFixtures(method, url, {
+        ...fetchOptions,
+        headers: {
+          ...buildAuthHeaders(),
+          "Content-Type": "application/json",
+          ...fetchOptions.headers,
+        },
+      });
+    } catch (error) {
+      if (attempt >= maxAttempts) {
+        throw error;
+      }
+      const delay = computeRetryDelay(attempt, null);
+      log("warn", "GitLab request failed; retrying", { method, endpoint, attempt, delay, message: error.message });
+      await sleep(delay);
+      continue;
+    }
+
+    if (response.ok) {
+      return response;
+    }
+
+    if (attempt < maxAttempts && isRetryableStatus(response.status)) {
+      const delay = computeRetryDelay(attempt, response.headers);
+      log("warn", "GitLab responded with a retryable status; retrying", {
+        method,
+        endpoint,
+        status: response.status,
+        attempt,
+        delay,
+      });
+      await sleep(delay);
+      continue;
+    }
+
+    throw new GitLabApiError({
+      status: response.status,
+      statusText: response.statusText,
+      method,
+      url,
+      body: await response.text().catch(() => ""),
+    });
+  }
+}
+
+let dryRunCounter = 0;
+
+// Shape a plausible GitLab response for a mutation that was only recorded
+function buildDryRunResponse(method, endpoint, payload) {
+  dryRunCounter += 1;
+  const id = `dry-run-${dryRunCounter}`;
+  const now = new Date().toISOString();
+  const path = endpoint.split("?")[0];
+  const body = payload && typeof payload === "object" ? payload : {};
+  const note = {
+    id,
+    body: body.body,
+    author: cachedCurrentUser || null,
+    created_at: now,
+    updated_at: now,
+    system: false,
+  };
+
+  if (method === "POST" && /\/discussions$/.test(path)) {
+    return {
+      id,
+      individual_note: false,
+      notes: [{ ...note, id: `${id}-note`, type: body.position ? "DiffNote" : "DiscussionNote", position: body.position }],
+      dry_run: true,
+    };
+  }
+  if (method === "POST" && /\/notes$/.test(path)) {
+    return { ...note, dry_run: true };
+  }
+  if (method === "PUT" && /\/notes\/[^/]+$/.test(path)) {
+    return { ...note, id: path.split("/").pop(), dry_run: true };
+  }
+  if (method === "PUT" && /\/discussions\/[^/]+$/.test(path)) {
+    const query = new URLSearchParams(endpoint.split("?")[1] || "");
+    return { id: path.split("/").pop(), resolved: query.get("resolved") === "true", dry_run: true };
+  }
+  if (method === "POST" && /\/statuses\/[^/]+$/.test(path)) {
+    return { id, sha: path.split("/").pop(), status: body.state, name: body.name, description: body.description || null, target_url: body.target_url || null, created_at: now, dry_run: true };
+  }
+  if (method === "POST" && /\/repository\/commits$/.test(path)) {
+    const title = (body.commit_message || "").split("\n")[0];
+    return { id, short_id: id, title, message: body.commit_message, branch: body.branch, actions: body.actions, created_at: now, dry_run: true };
+  }
+  if (method === "POST" && /\/repository\/branches$/.test(path)) {
+    return { name: body.branch, ref: body.ref, commit: null, merged: false, protected: false, dry_run: true };
+  }
+  if (method === "POST" && /\/draft_notes$/.test(path)) {
+    return { id, note: body.note, position: body.position || null, author_id: cachedCurrentUser?.id || null, dry_run: true };
+  }
+  if (method === "PUT" && /\/draft_notes\/[^/]+$/.test(path)) {
+    return { id: path.split("/").pop(), ...body, dry_run: true };
+  }
+  return { ...(method === "POST" ? { id } : {}), ...body, dry_run: true };
+}
+
+function recordDryRunMutation(method, endpoint, rawBody) {
+  let payload = null;
+  if (typeof rawBody === "string" && rawBody.length > 0) {
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (error) {
+      payload = rawBody;
+    }
+  }
+  const entry = {
+    timestamp: new Date().toISOString(),
+    tool: toolContext.getStore()?.tool || null,
+    method,
+    endpoint,
+    body: payload,
+  };
+  fs.appendFileSync(GITLAB_MCP_PLAN_FILE, JSON.stringify(entry) + "\n", "utf-8");
+  log("info", "Dry-run: recorded GitLab mutation", { tool: entry.tool, method, endpoint });
+  return buildDryRunResponse(method, endpoint, payload);
+}
+
+// Helper function to make GitLab API calls.
+// 429/5xx responses are retried for idempotent methods; pass `retry: true` to opt a mutation in.
+// Pass `responseType: "text"` for plain-text endpoints such as job traces.
+// With GITLAB_MCP_DRY_RUN enabled, non-GET calls are recorded to the plan file instead.
+// Pass `paginate: true` to follow Link/X-Next-Page headers and concatenate every page
+// (capped by `maxPages`, default GITLAB_MAX_PAGES).
+async function gitlabApi(endpoint, options = {}) {
+  const { paginate = false, maxPages = GITLAB_MAX_PAGES, responseType = "json", ...fetchOptions } = options;
+  let url = `${GITLAB_API_URL}${endpoint}`;
+  const method = (fetchOptions.method || "GET").toUpperCase();
+  if (GITLAB_MCP_DRY_RUN && !IDEMPOTENT_METHODS.has(method)) {
+    return recordDryRunMutation(method, endpoint, fetchOptions.body);
+  }
+  const response = await gitlabFetch(url, fetchOptions);
+  if (responseType === "text") {
+    return response.text();
+  }
+  if (responseType === "response") {
+    // Callers that need the raw bytes or response headers read them themselves
+    return response;
+  }
+  if (response.status === 204) {
+    // DELETE and bulk_publish answer with an empty body
+    return null;
+  }
+  const data = await response.json();
+  if (!paginate || !Array.isArray(data)) {
+    return data;
+  }
 
-  if (!response.ok) {
-    throw new Error(`GitLab API error: ${response.status} ${response.statusText}`);
+  const items = [...data];
+  let pages = 1;
+  let nextUrl = resolveNextPageUrl(url, response.headers);
+  while (nextUrl) {
+    if (pages >= maxPages) {
+      log("warn", "Pagination cap reached; results truncated", { endpoint, maxPages });
+      break;
+    }
+    url = nextUrl;
+    const pageResponse = await gitlabFetch(url, fetchOptions);
+    const pageData = await pageResponse.json();
+    if (!Array.isArray(pageData) || pageData.length === 0) {
+      break;
+    }
+    items.push(...pageData);
+    pages += 1;
+    nextUrl = resolveNextPageUrl(url, pageResponse.headers);
   }
+  return items;
+}
 
-  return response.json();
+// Apply page/per_page/all_pages tool arguments to a list endpoint and fetch it
+async function gitlabList(endpoint, args = {}, { params = new URLSearchParams(), allPagesByDefault = false } = {}) {
+  const allPages = typeof args.all_pages === "boolean" ? args.all_pages : allPagesByDefault;
+  if (args.page) params.set("page", args.page);
+  if (args.per_page) {
+    params.set("per_page", args.per_page);
+  } else if (allPages) {
+    params.set("per_page", GITLAB_ALL_PAGES_PER_PAGE);
+  }
+  const query = params.toString();
+  const separator = endpoint.includes("?") ? "&" : "?";
+  return gitlabApi(`${endpoint}${query ? `${separator}${query}` : ""}`, { paginate: allPages });
 }
 
+const PAGINATION_PROPERTIES = {
+  page: { type: "number", description: "Page number to start from (default 1)" },
+  per_page: { type: "number", description: "Results per page (max 100)" },
+  all_pages: { type: "boolean", description: "Follow pagination and return every page (capped by GITLAB_MAX_PAGES)" },
+};
+
 // Logging helpers
 const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
 const resolvedLogLevelName =
@@ -148,7 +698,10 @@ function logToolResponse(name, result) {
 }
 
 function logToolError(name, error) {
-  log("error", `Tool call failed: ${name}`, { message: error.message });
+  log("error", `Tool call failed: ${name}`, {
+    message: error.message,
+    ...(error instanceof GitLabApiError ? { category: error.category, endpoint: error.endpoint } : {}),
+  });
 }
 
 async function getCurrentUser() {
@@ -164,857 +717,2943 @@ async function getCurrentUser() {
   return cachedCurrentUser;
 }
 
-function normalizeIssueSignature(body) {
-  if (!body || typeof body !== "string") {
-    return null;
+// Findings match on their metadata fingerprint when both notes carry one,
+// otherwise on the title line
+function sameFinding(existingBody, body, model = null) {
+  const existing = parseFindingMetadata(existingBody);
+  const incoming = parseFindingMetadata(body);
+  if (existing?.fingerprint && incoming?.fingerprint) {
+    if (existing.fingerprint === incoming.fingerprint) return true;
+    // Fingerprints include the file; a finding on a renamed file is rehashed under its new path
+    if (existing.file === incoming.file || !samePathOrRenamed(existing.file, incoming.file, model)) return false;
+    const rehashed = computeFingerprint({
+      file: incoming.file,
+      rule: existing.rule,
+      body: stripFindingMetadata(existingBody),
+    });
+    return rehashed === incoming.fingerprint;
   }
-  const firstContentLine = body
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .find((line) => line.length > 0);
-  if (!firstContentLine) {
-    return null;
+  return normalizeIssueSignature(existingBody) === normalizeIssueSignature(body);
+}
+
+// Metadata block for a note anchored at `position` (or a top-level note about `file`)
+function findingMetadataFor(
+  body,
+  position,
+  { rule = null, file = null, kind = "finding", fingerprint = null, sha = null, anchor = null } = {}
+) {
+  const location = describePosition(position);
+  return buildFindingMetadata({
+    kind,
+    fingerprint,
+    body,
+    file: location?.path || file,
+    line: location ? location.line : null,
+    anchor,
+    rule,
+    sha: sha || position?.head_sha || null,
+    skill: GITLAB_MCP_SKILL_VERSION,
+  });
+}
+
+// Edited notes keep their metadata block: the identity (fingerprint, rule, location,
+// anchor) carries over while the severity follows the new text
+function carryFindingMetadata(previousBody, body) {
+  const previous = parseFindingMetadata(previousBody);
+  if (!previous) return body;
+  const severity = parseSeverity(stripFindingMetadata(body));
+  return withFindingMetadata(body, {
+    ...previous,
+    severity: severity || previous.severity || null,
+    skill: GITLAB_MCP_SKILL_VERSION || previous.skill || null,
+  });
+}
+
+// Metadata records of the current user's finding notes, one per discussion
+function collectBotFindings(discussions, currentUser, { includeResolved = false } = {}) {
+  const findings = [];
+  for (const discussion of Array.isArray(discussions) ? discussions : []) {
+    const note = (discussion.notes || []).find(
+      (candidate) => candidate && !candidate.system && candidate.author?.id === currentUser?.id
+    );
+    const metadata = note ? parseFindingMetadata(note.body) : null;
+    if (!metadata || (metadata.kind && metadata.kind !== "finding")) continue;
+    const resolved = Boolean(note.resolved);
+    if (resolved && !includeResolved) continue;
+    findings.push({ ...metadata, discussion_id: discussion.id, note_id: note.id, resolved });
   }
-  return firstContentLine.replace(/\s+/g, " ").toLowerCase();
+  return findings;
 }
 
 function positionsMatch(a = {}, b = {}) {
-  const pathA = a.new_path || a.old_path;
-  const pathB = b.new_path || b.old_path;
-  if (!pathA || !pathB || pathA !== pathB) {
+  const locationA = describePosition(a);
+  const locationB = describePosition(b);
+  if (!locationA?.path || !locationB?.path || locationA.path !== locationB.path) {
     return false;
   }
-  const lineA =
-    typeof a.new_line === "number"
-      ? a.new_line
-      : typeof a.old_line === "number"
-      ? a.old_line
-      : null;
-  const lineB =
-    typeof b.new_line === "number"
-      ? b.new_line
-      : typeof b.old_line === "number"
-      ? b.old_line
-      : null;
-  if (lineA === null || lineB === null) {
+  if (locationA.line === null || locationB.line === null) {
     return false;
   }
-  return lineA === lineB;
+  return locationA.line === locationB.line;
 }
 
-function parseIgnoredDiscussions() {
-  if (process.env.IGNORED_DISCUSSIONS) {
-    try {
-      const parsed = JSON.parse(process.env.IGNORED_DISCUSSIONS);
-      if (Array.isArray(parsed)) {
-        return new Set(parsed);
-      }
-    } catch (error) {
-      log("warn", "Failed to parse IGNORED_DISCUSSIONS; ignoring value", {
-        message: error.message,
-      });
-    }
-  }
-  return new Set();
+// Paths name the same file when they are equal or when the MR renames one into the other
+function samePathOrRenamed(a, b, model = null) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  return (model || []).some(
+    (file) => file.renamedFile && ((file.oldPath === a && file.newPath === b) || (file.oldPath === b && file.newPath === a))
+  );
 }
 
-async function findReusableNote(projectId, mergeRequestIid, position, body) {
+// A note covers the same code when its position matches exactly, or when its anchor
+// fingerprint matches in the same (or renamed) file after the lines moved
+function anchoredAtSameCode(existingPosition, existingAnchor, position, anchor, model = null) {
+  if (positionsMatch(existingPosition, position)) return true;
+  if (!existingAnchor || !anchor || existingAnchor !== anchor) return false;
+  return samePathOrRenamed(describePosition(existingPosition)?.path, describePosition(position)?.path, model);
+}
+
+// Anchor fingerprint of a position, computed from the blob it points into (the
+// base side for removed lines). Null when the blob cannot be read.
+async function computePositionAnchor(projectId, position) {
+  const location = describePosition(position);
+  if (!location?.line) return null;
+  const removed = location.side === "old";
+  const filePath = removed ? position.old_path || location.path : location.path;
+  const ref = removed ? position.base_sha : position.head_sha;
+  if (!filePath || !ref) return null;
   try {
-    const ignoredIds = parseIgnoredDiscussions();
-    const [currentUser, discussions] = await Promise.all([
-      getCurrentUser(),
-      gitlabApi(
-        `/projects/${encodeURIComponent(
-          projectId
-        )}/merge_requests/${encodeURIComponent(mergeRequestIid)}/discussions`
-      ),
-    ]);
+    return computeAnchorFingerprint(await fetchFileLines(projectId, filePath, ref), location.line);
+  } catch (error) {
+    log("warn", "Unable to fingerprint the anchored code", { file: filePath, message: error.message });
+    return null;
+  }
+}
 
-    const selection = selectReusableNote(
-      discussions,
-      currentUser,
-      position,
-      body,
-      ignoredIds
-    );
-    if (selection?.ignored) {
-      log("info", "Matched ignored discussion; skipping update", {
-        discussionId: selection.discussionId,
-      });
+const KEYWORD_STOP_WORDS = new Set([
+  'issue','problem','suggested','suggestion','before','after','code','update','using','with','this','that','from','into','note','summary','text','line','lines','fix','ensure','should','could','would','might','null','true','false','error','warning','performance','string','method','class','component'
+]);
+
+function extractKeywords(text) {
+  if (!text) return [];
+  const tokens = new Set();
+  const regex = /[A-Za-z_][A-Za-z0-9_.]+/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    const token = match[0];
+    const normalized = token.replace(/\.+$/, '').toLowerCase();
+    if (normalized.length >= 4 && !KEYWORD_STOP_WORDS.has(normalized)) {
+      tokens.add(normalized);
     }
-    return selection;
-  } catch (error) {
-    log("warn", "Unable to inspect existing discussions for reuse", { message: error.message });
   }
+  return Array.from(tokens);
+}
 
+// Resolve a line_range endpoint ({type, old_line, new_line}) to its diff line
+function findRangeEndpointLine(fileDiff, endpoint) {
+  if (!endpoint) return null;
+  if (endpoint.type !== "old" && typeof endpoint.new_line === "number") {
+    return findDiffLine(fileDiff, endpoint.new_line, "new");
+  }
+  if (typeof endpoint.old_line === "number") {
+    return findDiffLine(fileDiff, endpoint.old_line, "old");
+  }
   return null;
 }
 
-function selectReusableNote(discussions, currentUser, position, body, ignoredIds = new Set()) {
-  const signature = normalizeIssueSignature(body);
-  if (!signature || !position || !Array.isArray(discussions)) {
-    return null;
+// Fill in what GitLab expects for the referenced diff line: both paths, and both
+// line numbers when the line is unchanged context. For multi-line positions the
+// missing line_code values are computed and the note is anchored on the range end.
+// Unknown lines pass through untouched.
+function completeDiffPosition(position, model) {
+  if (!position || position.position_type !== "text") return position;
+  const location = describePosition(position);
+  const fileDiff = findFileDiff(model, location?.path);
+  if (!fileDiff) return position;
+
+  const range = position.line_range;
+  if (range && range.start && range.end) {
+    const start = findRangeEndpointLine(fileDiff, range.start);
+    const end = findRangeEndpointLine(fileDiff, range.end);
+    if (start && end) {
+      const completed = { ...position, ...buildRangePosition(position, fileDiff, start, end) };
+      if (start === end) delete completed.line_range;
+      return completed;
+    }
+    const lineRange = {
+      start: range.start.line_code || !start ? range.start : buildLineRangeEndpoint(fileDiff, start),
+      end: range.end.line_code || !end ? range.end : buildLineRangeEndpoint(fileDiff, end),
+    };
+    position = { ...position, line_range: lineRange };
   }
-  for (const discussion of discussions) {
-    const isIgnored = ignoredIds.has(discussion.id);
-    for (const note of discussion.notes || []) {
-      if (!note || note.system || !note.position) {
-        continue;
-      }
-      if (!positionsMatch(note.position, position)) {
-        continue;
-      }
-      if (currentUser?.id && note.author?.id && note.author.id !== currentUser.id) {
-        continue;
-      }
-      if (normalizeIssueSignature(note.body) !== signature) {
-        continue;
+
+  if (location.line === null) return position;
+  const side = typeof position.new_line === "number" ? "new" : "old";
+  const line = findDiffLine(fileDiff, location.line, side);
+  if (!line) return position;
+  return { ...position, ...buildDiffPosition(position, fileDiff, line) };
+}
+
+// Bare ```suggestion fences only replace the anchor line. On a multi-line position,
+// widen them with `suggestion:-N+0` so they replace every new-side line of the range.
+function applySuggestionRange(body, position) {
+  const range = position && position.line_range;
+  if (typeof body !== "string" || !range || typeof position.new_line !== "number") return body;
+  if (typeof range.start?.new_line !== "number") return body;
+  const linesAbove = position.new_line - range.start.new_line;
+  if (linesAbove <= 0) return body;
+  return body.replace(/^([ \t]*)```suggestion[ \t]*$/gm, `$1\`\`\`suggestion:-${linesAbove}+0`);
+}
+
+// Pick the diff line of the given types that mentions the most keywords.
+// Types are scanned in order, so earlier types win ties.
+function findBestMatchingLine(fileDiff, keywords, types = [LINE_TYPES.added]) {
+  if (!fileDiff || !keywords || keywords.length === 0) return null;
+  let best = { score: 0, line: null };
+  for (const type of types) {
+    for (const line of linesOfType(fileDiff, type)) {
+      const lower = line.content.toLowerCase();
+      let score = 0;
+      for (const k of keywords) {
+        if (lower.includes(k)) score += 1;
       }
-      if (isIgnored) {
-        return { ignored: true, discussionId: discussion.id };
+      if (score > best.score) {
+        best = { score, line };
       }
-      return { discussionId: discussion.id, noteId: note.id };
     }
   }
-  return null;
+  return best.line;
 }
 
-function ignoredDiscussionSet() {
-  return parseIgnoredDiscussions();
+// Choose the diff line to anchor on: an explicit line number, the best keyword match,
+// or the first changed line. Removed lines are numbered on the old side, everything
+// else on the new side. Without a line_type, added lines win ties over removed ones.
+function selectAnchorLine(fileDiff, { keywords = [], lineType = null, line = null } = {}) {
+  if (!fileDiff) return null;
+  if (typeof line === "number") {
+    const match = findDiffLine(fileDiff, line, lineType === LINE_TYPES.removed ? "old" : "new");
+    if (!match || (lineType && match.type !== lineType)) return null;
+    return match;
+  }
+  if (lineType) {
+    return findBestMatchingLine(fileDiff, keywords, [lineType]) || linesOfType(fileDiff, lineType)[0] || null;
+  }
+  return (
+    findBestMatchingLine(fileDiff, keywords, [LINE_TYPES.added, LINE_TYPES.removed]) ||
+    linesOfType(fileDiff, LINE_TYPES.added)[0] ||
+    linesOfType(fileDiff, LINE_TYPES.removed)[0] ||
+    null
+  );
 }
 
-// List all available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      // Original community tools
-      {
-        name: "create_or_update_file",
-        description: "Create or update a single file in a GitLab project",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            file_path: { type: "string", description: "Path where to create/update the file" },
-            content: { type: "string", description: "Content of the file" },
-            commit_message: { type: "string", description: "Commit message" },
-            branch: { type: "string", description: "Branch to create/update the file in" },
-          },
-          required: ["project_id", "file_path", "content", "commit_message", "branch"],
-        },
-      },
-      {
-        name: "get_file_contents",
-        description: "Get contents of a file or directory from a GitLab project",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            file_path: { type: "string", description: "Path to file/directory" },
-            ref: { type: "string", description: "Branch/tag/commit to get contents from" },
-          },
-          required: ["project_id", "file_path"],
-        },
-      },
-      {
-        name: "create_merge_request",
-        description: "Create a new merge request in a GitLab project",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            title: { type: "string", description: "MR title" },
-            description: { type: "string", description: "MR description" },
-            source_branch: { type: "string", description: "Branch containing changes" },
-            target_branch: { type: "string", description: "Branch to merge into" },
-          },
-          required: ["project_id", "title", "source_branch", "target_branch"],
-        },
-      },
-      // NEW: Missing MR read functions
-      {
-        name: "get_merge_request",
-        description: "Get details of a specific merge request",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
-          },
-          required: ["project_id", "merge_request_iid"],
-        },
-      },
-      {
-        name: "get_merge_request_commits",
-        description: "Get commits in a merge request",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
-          },
-          required: ["project_id", "merge_request_iid"],
-        },
+const SUGGESTION_FENCE = /^([ \t]*)```suggestion(?::-(\d+)\+(\d+))?[ \t]*\n([\s\S]*?)^[ \t]*```[ \t]*$/gm;
+
+// Find ```suggestion blocks with their offsets (`suggestion:-above+below`) and replacement lines
+function parseSuggestionBlocks(body) {
+  if (typeof body !== "string") return [];
+  const blocks = [];
+  for (const match of body.matchAll(SUGGESTION_FENCE)) {
+    const content = match[4].replace(/\n$/, "");
+    blocks.push({
+      index: match.index,
+      length: match[0].length,
+      indent: match[1],
+      above: match[2] ? Number(match[2]) : 0,
+      below: match[3] ? Number(match[3]) : 0,
+      lines: match[4] === "" ? [] : content.split("\n"),
+    });
+  }
+  return blocks;
+}
+
+function sameCode(a, b) {
+  return a !== undefined && b !== undefined && a.trim() === b.trim();
+}
+
+function sameCodeBlock(lines, fileLines, fromIndex) {
+  if (fromIndex < 0 || fromIndex + lines.length > fileLines.length) return false;
+  return lines.every((line, offset) => sameCode(line, fileLines[fromIndex + offset]));
+}
+
+// Braces and blank lines repeat everywhere; only real code counts as a duplicate
+function isSubstantial(lines) {
+  return lines.some((line) => /[A-Za-z0-9]/.test(line));
+}
+
+function leadingWhitespace(lines) {
+  const first = lines.find((line) => line.trim() !== "");
+  return first === undefined ? null : first.match(/^[ \t]*/)[0];
+}
+
+function formatSuggestionFence(indent, above, below) {
+  return above === 0 && below === 0 ? `${indent}\`\`\`suggestion` : `${indent}\`\`\`suggestion:-${above}+${below}`;
+}
+
+// Check one suggestion against the head file around the anchor line. Replacement lines
+// that repeat the code just outside the range would duplicate it when applied, so the
+// range is widened to cover them; other mismatches are reported as problems.
+function checkSuggestionBlock(block, { fileLines, anchorLine, fileDiff = null }) {
+  let above = block.above;
+  let below = block.below;
+  const problems = [];
+  if (typeof anchorLine !== "number") {
+    return { above, below, problems: ["suggestions can only be applied to lines of the new file"] };
+  }
+  if (anchorLine - above < 1 || anchorLine + below > fileLines.length) {
+    return {
+      above,
+      below,
+      problems: [`targets lines ${anchorLine - above}-${anchorLine + below} but the file has ${fileLines.length} lines`],
+    };
+  }
+
+  const lines = block.lines;
+  for (let k = Math.min(lines.length, anchorLine - above - 1); k > 0; k -= 1) {
+    const start = anchorLine - above - 1;
+    const prefix = lines.slice(0, k);
+    if (isSubstantial(prefix) && sameCodeBlock(prefix, fileLines, start - k) && !sameCodeBlock(prefix, fileLines, start)) {
+      above += k;
+      break;
+    }
+  }
+  for (let k = Math.min(lines.length, fileLines.length - anchorLine - below); k > 0; k -= 1) {
+    const end = anchorLine + below;
+    const suffix = lines.slice(lines.length - k);
+    if (isSubstantial(suffix) && sameCodeBlock(suffix, fileLines, end) && !sameCodeBlock(suffix, fileLines, end - k)) {
+      below += k;
+      break;
+    }
+  }
+
+  const firstLine = anchorLine - above;
+  const target = fileLines.slice(firstLine - 1, anchorLine + below);
+  const targetIndent = leadingWhitespace(target);
+  const suggestionIndent = leadingWhitespace(lines);
+  if (targetIndent !== null && suggestionIndent !== null && targetIndent !== suggestionIndent) {
+    problems.push(
+      `indentation drift (${JSON.stringify(suggestionIndent)} vs ${JSON.stringify(targetIndent)} in the code)`
+    );
+  }
+
+  if (fileDiff) {
+    const untouched = [];
+    target.forEach((content, offset) => {
+      const lineNumber = firstLine + offset;
+      const diffLine = findDiffLine(fileDiff, lineNumber, "new");
+      if (diffLine && diffLine.type === LINE_TYPES.added) return;
+      if (content.trim() === "" || lines.some((line) => sameCode(line, content))) return;
+      untouched.push(lineNumber);
+    });
+    if (untouched.length > 0) {
+      problems.push(`would replace unchanged line(s) ${untouched.join(", ")}`);
+    }
+  }
+
+  return { above, below, problems };
+}
+
+// Validate every suggestion block in a comment body. Misaligned offsets are corrected
+// in place; suggestions that still look wrong become plain code blocks plus a warning
+// so a reviewer cannot apply them with one click.
+function reviewSuggestions(body, context) {
+  const blocks = parseSuggestionBlocks(body);
+  const corrections = [];
+  const warnings = [];
+  if (blocks.length === 0) return { body, corrections, warnings };
+
+  let result = "";
+  let cursor = 0;
+  blocks.forEach((block, index) => {
+    const { above, below, problems } = checkSuggestionBlock(block, context);
+    const original = body.slice(block.index, block.index + block.length);
+    const header = original.slice(0, original.indexOf("\n"));
+    let replacement = original;
+    if (problems.length > 0) {
+      replacement = `${block.indent}\`\`\`${original.slice(original.indexOf("\n"))}`;
+      warnings.push({ block: index + 1, problems });
+    } else if (above !== block.above || below !== block.below) {
+      replacement = `${formatSuggestionFence(block.indent, above, below)}${original.slice(header.length)}`;
+      corrections.push({ block: index + 1, from: [block.above, block.below], to: [above, below] });
+    }
+    result += body.slice(cursor, block.index) + replacement;
+    cursor = block.index + block.length;
+  });
+  result += body.slice(cursor);
+
+  if (warnings.length > 0) {
+    const reasons = warnings.map((warning) => warning.problems.join("; ")).join(" / ");
+    result += `\n\n_⚠️ Suggestion shown as plain code: ${reasons}._`;
+  }
+  return { body: result, corrections, warnings };
+}
+
+async function fetchFileLines(projectId, filePath, ref) {
+  const raw = await gitlabApi(
+    `/projects/${encodeURIComponent(projectId)}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${encodeURIComponent(ref)}`,
+    { responseType: "text" }
+  );
+  const lines = raw.split(/\r?\n/);
+  if (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// Cut `text` to at most `maxBytes` UTF-8 bytes without splitting a multi-byte character
+function truncateUtf8(text, maxBytes) {
+  const buffer = Buffer.from(text, "utf8");
+  let end = Math.min(maxBytes, buffer.length);
+  while (end > 0 && end < buffer.length && (buffer[end] & 0xc0) === 0x80) end -= 1;
+  return buffer.subarray(0, end).toString("utf8");
+}
+
+// Git's heuristic: a NUL byte in the first 8000 bytes marks a blob as binary
+function isBinaryContent(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Render `text` for get_file_contents: the `startLine`..`endLine` slice, optionally
+ * prefixed with line numbers, cut at the last whole line that fits in `maxBytes`.
+ * A first line longer than `maxBytes` (minified or generated files) is cut mid-line.
+ * A truncated result ends with a marker saying where to continue.
+ */
+function formatFileContents(text, { startLine = null, endLine = null, maxBytes = GITLAB_MCP_FILE_MAX_BYTES, lineNumbers = false } = {}) {
+  const lines = text.split(/\r?\n/);
+  if (lines.length > 0 && lines[lines.length - 1] === "") lines.pop();
+  const totalLines = lines.length;
+  const first = startLine ?? 1;
+  const last = Math.min(endLine ?? totalLines, totalLines);
+  if (!Number.isInteger(first) || first < 1 || (endLine !== null && (!Number.isInteger(endLine) || endLine < first))) {
+    throw new Error("start_line and end_line must be positive integers with start_line <= end_line");
+  }
+  if (first > totalLines && totalLines > 0) {
+    throw new Error(`start_line ${first} is past the end of the file (${totalLines} lines)`);
+  }
+
+  const width = String(last).length;
+  const output = [];
+  let bytes = 0;
+  let shownEnd = first - 1;
+  let cutLineBytes = null;
+  for (let number = first; number <= last; number += 1) {
+    const line = lineNumbers ? `${String(number).padStart(width)} | ${lines[number - 1]}` : lines[number - 1];
+    const lineBytes = Buffer.byteLength(line, "utf8") + 1;
+    if (bytes + lineBytes > maxBytes && output.length > 0) break;
+    if (lineBytes - 1 > maxBytes) {
+      output.push(truncateUtf8(line, maxBytes));
+      cutLineBytes = lineBytes - 1;
+      shownEnd = number;
+      break;
+    }
+    output.push(line);
+    bytes += lineBytes;
+    shownEnd = number;
+  }
+
+  const truncated = shownEnd < last || cutLineBytes !== null;
+  if (cutLineBytes !== null) {
+    output.push(
+      `… [truncated at ${maxBytes} bytes: line ${shownEnd} of ${totalLines} is ${cutLineBytes} bytes long and was cut${
+        shownEnd < last ? `; pass start_line: ${shownEnd + 1} to continue` : ""
+      }]`
+    );
+  } else if (truncated) {
+    output.push(
+      `… [truncated at ${maxBytes} bytes: showing lines ${first}-${shownEnd} of ${totalLines}; pass start_line: ${shownEnd + 1} to continue]`
+    );
+  }
+  return {
+    text: output.join("\n"),
+    start_line: first,
+    end_line: shownEnd,
+    total_lines: totalLines,
+    truncated,
+  };
+}
+
+async function resolveDefaultBranch(projectId) {
+  try {
+    const project = await gitlabApi(`/projects/${encodeURIComponent(projectId)}`);
+    return project?.default_branch || "main";
+  } catch (error) {
+    log("warn", "Unable to resolve the default branch; using main", { message: error.message });
+    return "main";
+  }
+}
+
+// Read a file through the raw endpoint. Without a ref the project's default branch is
+// used; the reply names the ref and commit that were actually read plus the blob SHA.
+async function getFileContents(projectId, filePath, { ref = null, startLine = null, endLine = null, maxBytes = null, lineNumbers = false } = {}) {
+  const project = `/projects/${encodeURIComponent(projectId)}`;
+  const resolvedRef = ref || (await resolveDefaultBranch(projectId));
+
+  const response = await gitlabApi(
+    `${project}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${encodeURIComponent(resolvedRef)}`,
+    { responseType: "response" }
+  );
+  const buffer = await response.buffer();
+  const metadata = {
+    file_path: filePath,
+    ref: resolvedRef,
+    commit_id: response.headers.get("x-gitlab-commit-id"),
+    blob_id: response.headers.get("x-gitlab-blob-id"),
+    last_commit_id: response.headers.get("x-gitlab-last-commit-id"),
+    size: Number(response.headers.get("x-gitlab-size")) || buffer.length,
+    binary: isBinaryContent(buffer),
+  };
+  if (metadata.binary) {
+    return { metadata, text: null };
+  }
+
+  const { text, ...range } = formatFileContents(buffer.toString("utf8"), {
+    startLine,
+    endLine,
+    maxBytes: maxBytes || GITLAB_MCP_FILE_MAX_BYTES,
+    lineNumbers,
+  });
+  return { metadata: { ...metadata, ...range }, text };
+}
+
+// Run reviewSuggestions against the head blob of the anchored file. Any failure to load
+// the blob leaves the body as written.
+async function validateSuggestions(projectId, body, position, fileDiff) {
+  if (!GITLAB_MCP_VALIDATE_SUGGESTIONS || parseSuggestionBlocks(body).length === 0) return body;
+  const filePath = position?.new_path || position?.old_path;
+  if (!filePath || !position.head_sha) return body;
+  try {
+    const fileLines = await fetchFileLines(projectId, filePath, position.head_sha);
+    const review = reviewSuggestions(body, { fileLines, anchorLine: position.new_line, fileDiff });
+    if (review.corrections.length > 0 || review.warnings.length > 0) {
+      log("info", "Adjusted suggestion blocks before posting", {
+        file: filePath,
+        corrections: review.corrections,
+        warnings: review.warnings,
+      });
+    }
+    return review.body;
+  } catch (error) {
+    log("warn", "Unable to validate suggestion blocks; posting as written", {
+      file: filePath,
+      message: error.message,
+    });
+    return body;
+  }
+}
+
+function parseIgnoredDiscussions() {
+  if (process.env.IGNORED_DISCUSSIONS) {
+    try {
+      const parsed = JSON.parse(process.env.IGNORED_DISCUSSIONS);
+      if (Array.isArray(parsed)) {
+        return new Set(parsed);
+      }
+    } catch (error) {
+      log("warn", "Failed to parse IGNORED_DISCUSSIONS; ignoring value", {
+        message: error.message,
+      });
+    }
+  }
+  return new Set();
+}
+
+// Notes posted before anchor fingerprints existed get one computed from their own
+// head blob, but only when they could otherwise match the incoming finding.
+async function fingerprintLegacyNotes(projectId, discussions, currentUser, position, body, model = null) {
+  const noteAnchors = new Map();
+  if (!parseFindingMetadata(body)?.anchor) return noteAnchors;
+  const path = describePosition(position)?.path;
+  for (const discussion of Array.isArray(discussions) ? discussions : []) {
+    for (const note of discussion.notes || []) {
+      if (!note || note.system || !note.position || note.author?.id !== currentUser?.id) continue;
+      if (parseFindingMetadata(note.body)?.anchor || positionsMatch(note.position, position)) continue;
+      if (!sameFinding(note.body, body, model) || !samePathOrRenamed(describePosition(note.position)?.path, path, model)) continue;
+      noteAnchors.set(note.id, await computePositionAnchor(projectId, note.position));
+    }
+  }
+  return noteAnchors;
+}
+
+async function findReusableNote(projectId, mergeRequestIid, position, body, model = null) {
+  try {
+    const ignoredIds = parseIgnoredDiscussions();
+    const [currentUser, discussions] = await Promise.all([
+      getCurrentUser(),
+      gitlabApi(
+        `/projects/${encodeURIComponent(
+          projectId
+        )}/merge_requests/${encodeURIComponent(mergeRequestIid)}/discussions?per_page=${GITLAB_ALL_PAGES_PER_PAGE}`,
+        { paginate: true }
+      ),
+    ]);
+
+    const noteAnchors = await fingerprintLegacyNotes(projectId, discussions, currentUser, position, body, model);
+    const selection = selectReusableNote(
+      discussions,
+      currentUser,
+      position,
+      body,
+      ignoredIds,
+      { model, noteAnchors }
+    );
+    if (selection?.ignored) {
+      log("info", "Matched ignored discussion; skipping update", {
+        discussionId: selection.discussionId,
+      });
+    }
+    return selection;
+  } catch (error) {
+    log("warn", "Unable to inspect existing discussions for reuse", { message: error.message });
+  }
+
+  return null;
+}
+
+function selectReusableNote(
+  discussions,
+  currentUser,
+  position,
+  body,
+  ignoredIds = new Set(),
+  { model = null, noteAnchors = new Map() } = {}
+) {
+  const signature = normalizeIssueSignature(body);
+  if (!signature || !position || !Array.isArray(discussions)) {
+    return null;
+  }
+  const anchor = parseFindingMetadata(body)?.anchor || null;
+  for (const discussion of discussions) {
+    const isIgnored = ignoredIds.has(discussion.id);
+    for (const note of discussion.notes || []) {
+      if (!note || note.system || !note.position) {
+        continue;
+      }
+      const noteAnchor = parseFindingMetadata(note.body)?.anchor || noteAnchors.get(note.id) || null;
+      if (!anchoredAtSameCode(note.position, noteAnchor, position, anchor, model)) {
+        continue;
+      }
+      if (currentUser?.id && note.author?.id && note.author.id !== currentUser.id) {
+        continue;
+      }
+      if (!sameFinding(note.body, body, model)) {
+        continue;
+      }
+      if (isIgnored) {
+        return { ignored: true, discussionId: discussion.id };
+      }
+      return { discussionId: discussion.id, noteId: note.id };
+    }
+  }
+  return null;
+}
+
+// Draft notes only ever belong to the current user, so matching location and
+// issue signature is enough to spot a draft left behind by an earlier run.
+function selectReusableDraft(drafts, position, body, model = null) {
+  const signature = normalizeIssueSignature(body);
+  if (!signature || !position || !Array.isArray(drafts)) {
+    return null;
+  }
+  const anchor = parseFindingMetadata(body)?.anchor || null;
+  return (
+    drafts.find(
+      (draft) =>
+        draft &&
+        draft.position &&
+        anchoredAtSameCode(draft.position, parseFindingMetadata(draft.note)?.anchor, position, anchor, model) &&
+        sameFinding(draft.note, body, model)
+    ) || null
+  );
+}
+
+// Severity level by id ("high") or emoji ("🟠"); null when unknown or empty
+function findSeverityLevel(value) {
+  const wanted = String(value || "").trim().toLowerCase();
+  if (!wanted) return null;
+  return SEVERITY_LEVELS.find((level) => level.id === wanted || level.emoji === wanted) || null;
+}
+
+class InlineBudgetError extends Error {
+  constructor(reason, message, details = {}) {
+    super(message);
+    this.name = "InlineBudgetError";
+    this.category = "budget";
+    this.reason = reason;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { category: this.category, reason: this.reason, ...this.details };
+  }
+}
+
+let inlineCommentsPosted = 0;
+
+// Reject an inline finding before anything is fetched or posted when the run has used up
+// its budget or the finding is below the severity floor. Both messages steer the agent
+// towards the summary note instead.
+function assertInlineCommentAllowed(
+  body,
+  { budget = GITLAB_MCP_INLINE_BUDGET, minSeverity = GITLAB_MCP_MIN_SEVERITY, posted = inlineCommentsPosted } = {}
+) {
+  if (minSeverity) {
+    const severity = findSeverityLevel(parseSeverity(body));
+    if (!severity || severity.rank < minSeverity.rank) {
+      throw new InlineBudgetError(
+        "below_min_severity",
+        `${severity ? `Severity "${severity.id}"` : "A finding without a severity emoji"} is below the minimum ` +
+          `"${minSeverity.id}" ${minSeverity.emoji} for inline comments. Do not post it inline; fold it into the summary note instead.`,
+        { severity: severity ? severity.id : null, min_severity: minSeverity.id }
+      );
+    }
+  }
+  if (budget > 0 && posted >= budget) {
+    throw new InlineBudgetError(
+      "budget_exhausted",
+      `Inline comment budget reached (${posted} of ${budget} posted this run). Do not post more inline comments; ` +
+        "fold the remaining findings into the summary note instead.",
+      { posted, budget }
+    );
+  }
+}
+
+// A refreshed draft from an earlier run does not add a comment
+function recordInlineComment(result) {
+  if (result?.action !== "update_draft_note") {
+    inlineCommentsPosted += 1;
+  }
+}
+
+// Post an inline finding. Live mode opens a discussion straight away; draft mode stages
+// a draft note (refreshing a matching one from an earlier run) for publish_draft_notes.
+async function createReviewComment(projectId, mergeRequestIid, body, position = null, model = null) {
+  const base = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}`;
+  if (GITLAB_MCP_REVIEW_MODE !== "draft") {
+    return gitlabApi(position ? `${base}/discussions` : `${base}/notes`, {
+      method: "POST",
+      body: JSON.stringify(position ? { body, position } : { body }),
+    });
+  }
+
+  if (position) {
+    let existing = null;
+    try {
+      existing = selectReusableDraft(await gitlabApi(`${base}/draft_notes`), position, body, model);
+    } catch (error) {
+      log("warn", "Unable to inspect existing draft notes for reuse", { message: error.message });
+    }
+    if (existing) {
+      const updated = await gitlabApi(`${base}/draft_notes/${existing.id}`, {
+        method: "PUT",
+        body: JSON.stringify({ note: body }),
+        retry: true,
+      });
+      log("info", "Updated existing draft note", { draftNoteId: existing.id });
+      return { action: "update_draft_note", draft_note_id: existing.id, draft_note: updated };
+    }
+  }
+  return gitlabApi(`${base}/draft_notes`, {
+    method: "POST",
+    body: JSON.stringify(position ? { note: body, position } : { note: body }),
+  });
+}
+
+// The bot may only change the resolved state of threads it opened itself
+function isDiscussionStartedBy(discussion, user) {
+  const firstNote = (discussion?.notes || []).find((note) => note && !note.system);
+  return Boolean(user?.id && firstNote?.author?.id === user.id);
+}
+
+async function setDiscussionResolved(projectId, mergeRequestIid, discussionId, resolved) {
+  const endpoint = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}/discussions/${encodeURIComponent(discussionId)}`;
+  const [currentUser, discussion] = await Promise.all([getCurrentUser(), gitlabApi(endpoint)]);
+  if (!isDiscussionStartedBy(discussion, currentUser)) {
+    const starter = (discussion?.notes || []).find((note) => note && !note.system)?.author?.username;
+    throw new Error(
+      `Refusing to ${resolved ? "resolve" : "unresolve"} discussion ${discussionId}: it was started by ${
+        starter ? `@${starter}` : "another user"
+      }, not by ${currentUser?.username ? `@${currentUser.username}` : "the current user"}`
+    );
+  }
+  return gitlabApi(`${endpoint}?resolved=${resolved}`, {
+    method: "PUT",
+    retry: true, // setting the resolved flag is idempotent
+  });
+}
+
+// Hidden marker in the bot's summary note recording which head SHA was reviewed
+const REVIEWED_SHA_MARKER = /<!--\s*gemini-reviewed-sha:([0-9a-f]{7,40})\s*-->/i;
+
+function parseReviewedSha(body) {
+  const match = typeof body === "string" ? REVIEWED_SHA_MARKER.exec(body) : null;
+  return match ? match[1].toLowerCase() : null;
+}
+
+function withReviewedSha(body, sha) {
+  const marker = `<!-- gemini-reviewed-sha:${sha} -->`;
+  const text = typeof body === "string" ? body : "";
+  return REVIEWED_SHA_MARKER.test(text) ? text.replace(REVIEWED_SHA_MARKER, marker) : `${text}\n\n${marker}`;
+}
+
+function assertCommitSha(sha, argName) {
+  if (typeof sha !== "string" || !/^[0-9a-f]{7,40}$/i.test(sha)) {
+    throw new Error(`${argName} must be a commit SHA (7-40 hex characters)`);
+  }
+}
+
+const COMMIT_ACTIONS = ["create", "update", "delete", "move"];
+
+// Validate create_commit actions and keep only the fields the commits API accepts.
+// `last_commit_id` makes GitLab reject the whole commit if the file changed since that commit.
+function buildCommitActions(actions) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    throw new Error("actions must be a non-empty array");
+  }
+  return actions.map((entry, index) => {
+    const label = `actions[${index}]`;
+    if (!entry || !COMMIT_ACTIONS.includes(entry.action)) {
+      throw new Error(`${label}.action must be one of ${COMMIT_ACTIONS.join(", ")}`);
+    }
+    if (!entry.file_path) {
+      throw new Error(`${label}.file_path is required`);
+    }
+    if ((entry.action === "create" || entry.action === "update") && typeof entry.content !== "string") {
+      throw new Error(`${label}.content is required for ${entry.action}`);
+    }
+    if (entry.action === "move" && !entry.previous_path) {
+      throw new Error(`${label}.previous_path is required for move`);
+    }
+    if (entry.encoding && !["text", "base64"].includes(entry.encoding)) {
+      throw new Error(`${label}.encoding must be text or base64`);
+    }
+    if (entry.last_commit_id) assertCommitSha(entry.last_commit_id, `${label}.last_commit_id`);
+
+    const action = { action: entry.action, file_path: entry.file_path };
+    if (entry.action === "move") action.previous_path = entry.previous_path;
+    if (typeof entry.content === "string" && entry.action !== "delete") action.content = entry.content;
+    if (entry.encoding) action.encoding = entry.encoding;
+    if (entry.last_commit_id) action.last_commit_id = entry.last_commit_id;
+    return action;
+  });
+}
+
+const COMMIT_STATUS_STATES = ["pending", "running", "success", "failed", "canceled"];
+const DEFAULT_COMMIT_STATUS_NAME = "gemini-review";
+
+// Answer an MR's external status check. The check may be named instead of numbered, and
+// the result is recorded against the MR head unless a SHA is given.
+async function respondExternalStatusCheck(projectId, mergeRequestIid, { checkId = null, name = null, status, sha = null }) {
+  if (!["passed", "failed", "pending"].includes(status)) {
+    throw new Error("status must be one of passed, failed, pending");
+  }
+  if (sha) assertCommitSha(sha, "sha");
+  const base = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}`;
+  let resolvedId = checkId !== null && checkId !== undefined ? Number(checkId) : null;
+  if (resolvedId === null) {
+    if (!name) {
+      throw new Error("Provide external_status_check_id or name");
+    }
+    const checks = await gitlabApi(`${base}/status_checks`);
+    const match = (Array.isArray(checks) ? checks : []).find((check) => check.name === name);
+    if (!match) {
+      throw new Error(`No external status check named "${name}" on merge request !${mergeRequestIid}`);
+    }
+    resolvedId = match.id;
+  }
+  let headSha = sha;
+  if (!headSha) {
+    const mr = await gitlabApi(base);
+    headSha = mr?.sha || mr?.diff_refs?.head_sha || null;
+  }
+  if (!headSha) {
+    throw new Error("Cannot determine the merge request head SHA");
+  }
+  return gitlabApi(`${base}/status_check_responses`, {
+    method: "POST",
+    body: JSON.stringify({ sha: headSha, external_status_check_id: resolvedId, status }),
+  });
+}
+
+// Path glob: `**` spans directories, `*` and `?` stay within one path segment
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      i += 1;
+      if (glob[i + 1] === "/") {
+        i += 1;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function matchesPathGlobs(filePath, globs) {
+  return Boolean(filePath) && globs.some((glob) => globToRegExp(glob).test(filePath));
+}
+
+/**
+ * Decide whether the bot may approve: every changed path (old and new side) must match
+ * `allowedPaths`, the change list must not be truncated (`overflow`), and the severity
+ * gate at `threshold` must have no blocking finding.
+ */
+function evaluateAutoApproval({ changes, overflow = false, discussions, currentUser, allowedPaths, threshold, ignoredIds = [] }) {
+  const reasons = [];
+  const changedPaths = new Set();
+  for (const change of Array.isArray(changes) ? changes : []) {
+    if (change.old_path) changedPaths.add(change.old_path);
+    if (change.new_path) changedPaths.add(change.new_path);
+  }
+  const disallowedPaths = Array.from(changedPaths).filter((filePath) => !matchesPathGlobs(filePath, allowedPaths));
+  if (allowedPaths.length === 0) {
+    reasons.push("No auto-approve paths are configured");
+  } else if (overflow) {
+    // GitLab truncated the change list, so unseen files could fall outside the allowed paths
+    reasons.push("GitLab truncated the change list; not every changed path can be checked");
+  } else if (changedPaths.size === 0) {
+    reasons.push("The merge request has no changes");
+  } else if (disallowedPaths.length > 0) {
+    reasons.push(`${disallowedPaths.length} changed path(s) are outside the auto-approve paths`);
+  }
+  const gate = evaluateSeverityGate(discussions, currentUser, { threshold, maxFindings: 0, ignoredIds });
+  if (!gate.passed) {
+    reasons.push(`${gate.blocking.length} unresolved finding(s) at or above ${threshold}`);
+  }
+  return {
+    eligible: reasons.length === 0,
+    reasons,
+    threshold,
+    disallowed_paths: disallowedPaths,
+    blocking: gate.blocking,
+  };
+}
+
+// Apply the auto-approve policy. An approval the bot gave earlier is withdrawn once the
+// MR stops qualifying (e.g. a later push added a blocking finding).
+async function autoApproveMergeRequest(projectId, mergeRequestIid, { dryRun = false } = {}) {
+  if (!GITLAB_MCP_AUTO_APPROVE) {
+    throw new Error("Auto-approval is disabled; set GITLAB_MCP_AUTO_APPROVE=true and GITLAB_MCP_AUTO_APPROVE_PATHS to enable it");
+  }
+  const base = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}`;
+  const [currentUser, mr, changesResp, discussions, approvals] = await Promise.all([
+    getCurrentUser(),
+    gitlabApi(base),
+    gitlabApi(`${base}/changes`),
+    gitlabApi(`${base}/discussions?per_page=${GITLAB_ALL_PAGES_PER_PAGE}`, { paginate: true }),
+    gitlabApi(`${base}/approvals`),
+  ]);
+  if (!currentUser?.id) {
+    throw new Error("Cannot auto-approve without resolving the current GitLab user");
+  }
+  const decision = evaluateAutoApproval({
+    changes: changesResp?.changes,
+    overflow: Boolean(changesResp?.overflow),
+    discussions,
+    currentUser,
+    allowedPaths: GITLAB_MCP_AUTO_APPROVE_PATHS,
+    threshold: GITLAB_MCP_AUTO_APPROVE_SEVERITY,
+    ignoredIds: Array.from(parseIgnoredDiscussions()),
+  });
+  const alreadyApproved = (approvals?.approved_by || []).some((entry) => entry?.user?.id === currentUser.id);
+  const headSha = mr?.sha || mr?.diff_refs?.head_sha || null;
+
+  let action = "none";
+  if (decision.eligible && !alreadyApproved) {
+    action = "approve";
+  } else if (decision.eligible) {
+    action = "already_approved";
+  } else if (alreadyApproved) {
+    action = "unapprove";
+  }
+  if (!dryRun && action === "approve") {
+    // Pinning the SHA makes GitLab reject the approval if a new commit arrived meanwhile
+    await gitlabApi(`${base}/approve`, { method: "POST", body: JSON.stringify(headSha ? { sha: headSha } : {}) });
+  } else if (!dryRun && action === "unapprove") {
+    await gitlabApi(`${base}/unapprove`, { method: "POST" });
+  }
+  return { ...decision, action, head_sha: headSha, dry_run: dryRun };
+}
+
+const DRAFT_TITLE_PREFIX = /^\s*(?:draft:|draft\s+-|\[draft\]|\(draft\)|wip:|\[wip\])\s*/i;
+
+// GitLab derives the Draft state from the title prefix
+function applyDraftState(title, draft) {
+  const bare = String(title || "").replace(DRAFT_TITLE_PREFIX, "");
+  return draft ? `Draft: ${bare}` : bare;
+}
+
+async function resolveUserIds(usernames) {
+  const ids = [];
+  for (const raw of parseToolList(usernames)) {
+    const username = raw.replace(/^@/, "");
+    const users = await gitlabApi(`/users?username=${encodeURIComponent(username)}`);
+    const user = (Array.isArray(users) ? users : []).find((candidate) => candidate.username === username);
+    if (!user) {
+      throw new Error(`Unknown GitLab user "@${username}"`);
+    }
+    ids.push(user.id);
+  }
+  return ids;
+}
+
+// Build the PUT payload for update_merge_request. Title and description rewrite what a
+// human wrote, so each needs its own policy capability on top of the tool itself.
+async function buildMergeRequestUpdate(projectId, mergeRequestIid, args, policy) {
+  for (const field of MERGE_REQUEST_TEXT_FIELDS) {
+    if (args[field] !== undefined && !isToolAllowed(policy, `update_merge_request:${field}`)) {
+      throw new ToolPolicyError(`update_merge_request:${field}`, policy.preset);
+    }
+  }
+  const update = {};
+  const addLabels = parseToolList(args.add_labels);
+  const removeLabels = parseToolList(args.remove_labels);
+  if (addLabels.length) update.add_labels = addLabels.join(",");
+  if (removeLabels.length) update.remove_labels = removeLabels.join(",");
+  for (const role of ["assignee", "reviewer"]) {
+    const ids = args[`${role}_ids`];
+    const usernames = args[`${role}_usernames`];
+    if (ids === undefined && usernames === undefined) continue;
+    update[`${role}_ids`] = [...(ids || []).map(Number), ...(await resolveUserIds(usernames))];
+  }
+  if (args.description !== undefined) update.description = args.description;
+  if (args.title !== undefined) update.title = args.title;
+  if (args.draft !== undefined) {
+    const title =
+      update.title ??
+      (await gitlabApi(`/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}`))?.title;
+    update.title = applyDraftState(title, args.draft === true);
+  }
+  if (Object.keys(update).length === 0) {
+    throw new Error("Nothing to update: pass labels, assignees, reviewers, draft, title or description");
+  }
+  return update;
+}
+
+// The current user's own top-level MR notes, newest first
+async function listOwnNotes(projectId, mergeRequestIid) {
+  const [currentUser, notes] = await Promise.all([
+    getCurrentUser(),
+    gitlabApi(
+      `/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}/notes?sort=desc&order_by=created_at&per_page=${GITLAB_ALL_PAGES_PER_PAGE}`,
+      { paginate: true }
+    ),
+  ]);
+  if (!currentUser?.id || !Array.isArray(notes)) return [];
+  return notes.filter((note) => !note.system && note.author?.id === currentUser.id);
+}
+
+// Most recent head SHA recorded in one of the current user's notes
+async function findLastReviewedSha(projectId, mergeRequestIid) {
+  for (const note of await listOwnNotes(projectId, mergeRequestIid)) {
+    const sha = parseReviewedSha(note.body);
+    if (sha) return sha;
+  }
+  return null;
+}
+
+// Review summaries are a single note per MR, found again through this marker
+const SUMMARY_MARKER = /<!--\s*gemini-review-summary revision:(\d+)\s*-->/;
+const SUMMARY_HISTORY_MARKER = /<!--\s*gemini-summary-history revision:(\d+)(?: sha:([0-9a-f]+))?\s*-->/g;
+const SUMMARY_HISTORY_OPEN = "<details>\n<summary>Previous summaries";
+const SUMMARY_HISTORY_LIMIT = 5;
+
+function stripReviewMarkers(text) {
+  return text.replace(new RegExp(REVIEWED_SHA_MARKER.source, "gi"), "").trim();
+}
+
+// Split an upserted summary into its revision, reviewed SHA, current text and history
+function parseSummaryNote(note) {
+  const marker = typeof note === "string" ? SUMMARY_MARKER.exec(note) : null;
+  if (!marker) return null;
+  const body = stripFindingMetadata(note).trimEnd();
+  const historyStart = body.indexOf(SUMMARY_HISTORY_OPEN);
+  const main = historyStart === -1 ? body : body.slice(0, historyStart);
+  const history = [];
+  if (historyStart !== -1) {
+    const block = body.slice(historyStart).replace(/<\/details>\s*$/, "");
+    const entries = [...block.matchAll(SUMMARY_HISTORY_MARKER)];
+    entries.forEach((entry, index) => {
+      const end = index + 1 < entries.length ? entries[index + 1].index : block.length;
+      const content = block.slice(entry.index + entry[0].length, end).replace(/^\s*#### .*\n/, "");
+      history.push({ revision: Number(entry[1]), sha: entry[2] || null, summary: content.trim() });
+    });
+  }
+  return {
+    revision: Number(marker[1]),
+    reviewedSha: parseReviewedSha(main),
+    summary: stripReviewMarkers(main.replace(SUMMARY_MARKER, "")).replace(/^_Revision \d+[^\n]*_\s*/, "").trim(),
+    history,
+  };
+}
+
+function describeRevision(revision, sha) {
+  return `Revision ${revision}${sha ? ` · reviewed at \`${sha.slice(0, 8)}\`` : ""}`;
+}
+
+function buildSummaryBody(summary, { revision, reviewedSha = null, history = [] }) {
+  const markers = [`<!-- gemini-review-summary revision:${revision} -->`];
+  if (reviewedSha) markers.push(`<!-- gemini-reviewed-sha:${reviewedSha} -->`);
+  let body = `${markers.join("\n")}\n_${describeRevision(revision, reviewedSha)}_\n\n${stripReviewMarkers(summary)}`;
+  if (history.length > 0) {
+    const entries = history.map(
+      (entry) =>
+        `<!-- gemini-summary-history revision:${entry.revision}${entry.sha ? ` sha:${entry.sha}` : ""} -->\n#### ${describeRevision(
+          entry.revision,
+          entry.sha
+        )}\n\n${entry.summary}`
+    );
+    body += `\n\n${SUMMARY_HISTORY_OPEN} (${history.length})</summary>\n\n${entries.join("\n\n")}\n\n</details>`;
+  }
+  return withFindingMetadata(
+    body,
+    buildFindingMetadata({ kind: "summary", fingerprint: "summary", sha: reviewedSha, skill: GITLAB_MCP_SKILL_VERSION })
+  );
+}
+
+// Where a summary upsert lands. The revision always follows the published summary. Live
+// mode edits that note in place (or posts the first one); draft mode never touches
+// published notes: it refreshes the pending summary draft or stages a new one, which
+// publishing later folds into the published summary.
+function planSummaryUpsert(summary, { notes = [], drafts = [], draftMode = false, reviewedSha = null, keepHistory = false } = {}) {
+  const published = notes.map((note) => ({ note, parsed: parseSummaryNote(note.body) })).find((entry) => entry.parsed);
+  const pending = draftMode ? drafts.find((draft) => parseSummaryNote(draft?.note)) : null;
+  const revision = published ? published.parsed.revision + 1 : 1;
+  const history =
+    published && keepHistory
+      ? [
+          { revision: published.parsed.revision, sha: published.parsed.reviewedSha, summary: published.parsed.summary },
+          ...published.parsed.history,
+        ].slice(0, SUMMARY_HISTORY_LIMIT)
+      : [];
+  const body = buildSummaryBody(summary, { revision, reviewedSha, history });
+  if (draftMode) {
+    return { target: "draft", id: pending ? pending.id : null, revision, body };
+  }
+  return { target: "note", id: published ? published.note.id : null, revision, body };
+}
+
+// Update the bot's summary (bumping its revision and optionally archiving the previous
+// text), or post the first one; in draft mode the change is staged as a draft
+async function upsertSummaryNote(projectId, mergeRequestIid, summary, { reviewedSha = null, keepHistory = false } = {}) {
+  const base = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}`;
+  const draftMode = GITLAB_MCP_REVIEW_MODE === "draft";
+  const [notes, drafts] = await Promise.all([
+    listOwnNotes(projectId, mergeRequestIid),
+    draftMode ? gitlabApi(`${base}/draft_notes`) : [],
+  ]);
+  const plan = planSummaryUpsert(summary, {
+    notes,
+    drafts: Array.isArray(drafts) ? drafts : [],
+    draftMode,
+    reviewedSha,
+    keepHistory,
+  });
+
+  const collection = plan.target === "draft" ? "draft_notes" : "notes";
+  const payload = plan.target === "draft" ? { note: plan.body } : { body: plan.body };
+  const note = await gitlabApi(plan.id ? `${base}/${collection}/${plan.id}` : `${base}/${collection}`, {
+    method: plan.id ? "PUT" : "POST",
+    body: JSON.stringify(payload),
+    ...(plan.id ? { retry: true } : {}),
+  });
+  return { action: plan.id ? "updated" : "created", revision: plan.revision, draft: plan.target === "draft", note };
+}
+
+// A draft cannot be published onto an existing note, so a pending summary draft is copied
+// into the published summary and dropped before the remaining drafts are published
+async function foldSummaryDraft(projectId, mergeRequestIid, draftNoteId = null) {
+  const base = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}`;
+  const [notes, drafts] = await Promise.all([listOwnNotes(projectId, mergeRequestIid), gitlabApi(`${base}/draft_notes`)]);
+  const pending = (Array.isArray(drafts) ? drafts : []).find((draft) => parseSummaryNote(draft?.note));
+  const published = notes.find((note) => parseSummaryNote(note.body));
+  if (!pending || !published || (draftNoteId && String(pending.id) !== String(draftNoteId))) {
+    return null;
+  }
+  await gitlabApi(`${base}/notes/${published.id}`, {
+    method: "PUT",
+    body: JSON.stringify({ body: pending.note }),
+    retry: true,
+  });
+  await gitlabApi(`${base}/draft_notes/${pending.id}`, { method: "DELETE" });
+  return { note_id: published.id, draft_note_id: pending.id };
+}
+
+// Diff between the last reviewed head and the current head. MR versions tell us whether
+// the reviewed SHA is still part of this MR and whether the branch was rebased since
+// (then the compare would be polluted by target-branch changes); the compare API
+// supplies the diff itself. Anything that cannot be diffed incrementally asks for a full review.
+async function getIncrementalDiff(projectId, mergeRequestIid, sinceSha = null) {
+  const base = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}`;
+  const mr = await gitlabApi(base);
+  const headSha = mr?.diff_refs?.head_sha;
+  if (!headSha) {
+    throw new Error("Missing diff_refs for MR; cannot compute an incremental diff");
+  }
+  const full = (reason, extra = {}) => ({ mode: "full", reason, head_sha: headSha, ...extra });
+
+  const since = sinceSha || (await findLastReviewedSha(projectId, mergeRequestIid));
+  if (!since) return full("No previous review marker found");
+  if (headSha.toLowerCase().startsWith(since.toLowerCase())) {
+    return { mode: "none", reason: "Head has already been reviewed", since_sha: since, head_sha: headSha };
+  }
+
+  try {
+    const versions = await gitlabApi(`${base}/versions`);
+    const reviewed = (Array.isArray(versions) ? versions : []).find((version) =>
+      (version.head_commit_sha || "").toLowerCase().startsWith(since.toLowerCase())
+    );
+    if (Array.isArray(versions) && versions.length > 0 && !reviewed) {
+      return full("The last reviewed commit is no longer part of this merge request (force-push)", { since_sha: since });
+    }
+    if (reviewed && mr.diff_refs.base_sha && reviewed.base_commit_sha !== mr.diff_refs.base_sha) {
+      return full("Source branch was rebased or merged with the target since the last review", { since_sha: since });
+    }
+  } catch (error) {
+    log("warn", "Unable to load MR versions; comparing commits directly", { message: error.message });
+  }
+
+  let comparison;
+  try {
+    comparison = await gitlabApi(
+      `/projects/${encodeURIComponent(projectId)}/repository/compare?from=${encodeURIComponent(since)}&to=${encodeURIComponent(
+        headSha
+      )}&straight=true`
+    );
+  } catch (error) {
+    return full(`Cannot compare ${since} with the current head: ${error.message}`, { since_sha: since });
+  }
+  if (comparison?.compare_timeout) {
+    return full("GitLab timed out comparing the commits", { since_sha: since });
+  }
+
+  return {
+    mode: "incremental",
+    since_sha: since,
+    head_sha: headSha,
+    commits: (comparison?.commits || []).map((commit) => ({
+      id: commit.id,
+      short_id: commit.short_id,
+      title: commit.title,
+      author_name: commit.author_name,
+    })),
+    changes: comparison?.diffs || [],
+  };
+}
+
+// GitLab's blame groups consecutive lines by commit without numbering them; number each
+// group from `startLine` and, given the MR's commit SHAs, flag the lines this MR introduced.
+function summarizeBlame(blame, { startLine = 1, mergeRequestShas = null } = {}) {
+  let next = startLine;
+  return (Array.isArray(blame) ? blame : []).map((group) => {
+    const lines = Array.isArray(group.lines) ? group.lines : [];
+    const commit = group.commit || {};
+    const range = {
+      start_line: next,
+      end_line: next + lines.length - 1,
+      commit: {
+        id: commit.id || null,
+        title: normalizeCommitTitle(commit.message),
+        author_name: commit.author_name || null,
+        authored_date: commit.authored_date || null,
+      },
+      lines,
+    };
+    if (mergeRequestShas) {
+      range.introduced_in_merge_request = mergeRequestShas.has(commit.id);
+    }
+    next += lines.length;
+    return range;
+  });
+}
+
+function normalizeCommitTitle(message) {
+  return typeof message === "string" ? message.split(/\r?\n/)[0].trim() : null;
+}
+
+// Blame for a line range. With a merge request the ref defaults to the MR head and every
+// range says whether one of the MR's commits wrote it, i.e. whether a flagged line is new.
+async function getFileBlame(projectId, filePath, { ref = null, startLine = null, endLine = null, mergeRequestIid = null } = {}) {
+  const start = startLine ?? (endLine !== null ? 1 : null);
+  const end = endLine ?? start;
+  if (start !== null && (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start)) {
+    throw new Error("start_line and end_line must be positive integers with start_line <= end_line");
+  }
+
+  const project = `/projects/${encodeURIComponent(projectId)}`;
+  let resolvedRef = ref;
+  let mergeRequestShas = null;
+  if (mergeRequestIid) {
+    const base = `${project}/merge_requests/${mergeRequestIid}`;
+    const [mr, commits] = await Promise.all([
+      gitlabApi(base),
+      gitlabList(`${base}/commits`, {}, { allPagesByDefault: true }),
+    ]);
+    resolvedRef = resolvedRef || mr?.sha || mr?.diff_refs?.head_sha || null;
+    mergeRequestShas = new Set((Array.isArray(commits) ? commits : []).map((commit) => commit.id));
+  }
+  if (!resolvedRef) {
+    resolvedRef = await resolveDefaultBranch(projectId);
+  }
+
+  const params = new URLSearchParams({ ref: resolvedRef });
+  if (start !== null) {
+    params.set("range[start]", start);
+    params.set("range[end]", end);
+  }
+  const blame = await gitlabApi(`${project}/repository/files/${encodeURIComponent(filePath)}/blame?${params.toString()}`);
+  return {
+    file_path: filePath,
+    ref: resolvedRef,
+    ranges: summarizeBlame(blame, { startLine: start || 1, mergeRequestShas }),
+  };
+}
+
+// Replies posted when reconciliation closes an outdated finding (reviews are written in Ukrainian)
+const RECONCILE_REPLIES = {
+  file_removed: (sha) =>
+    `✅ Файл, до якого належало це зауваження, видалено в останній версії MR (${sha}). Обговорення закрито автоматично.`,
+  code_changed: (sha) =>
+    `✅ Код, до якого належало це зауваження, змінено в останній версії MR (${sha}). Обговорення закрито автоматично; якщо проблема лишилась, її буде піднято знову.`,
+};
+
+// Which file, revision and line numbers a bot finding was anchored to. New-side
+// positions point into the head the finding was written against, old-side ones
+// (findings about deleted code) into its base.
+function findingAnchor(position) {
+  const location = describePosition(position);
+  if (!location || location.line === null) return null;
+  const range = position.line_range;
+  if (typeof position.new_line === "number") {
+    const start = typeof range?.start?.new_line === "number" ? range.start.new_line : position.new_line;
+    return { side: "new", path: position.new_path || position.old_path, sha: position.head_sha, start, end: position.new_line };
+  }
+  const start = typeof range?.start?.old_line === "number" ? range.start.old_line : position.old_line;
+  return { side: "old", path: position.old_path || position.new_path, sha: position.base_sha, start, end: position.old_line };
+}
+
+function containsCodeBlock(haystack, needle) {
+  const lines = haystack.map((line) => line.trim()).filter(Boolean);
+  for (let index = 0; index + needle.length <= lines.length; index += 1) {
+    if (needle.every((line, offset) => lines[index + offset] === line)) return true;
+  }
+  return false;
+}
+
+// Decide whether a finding still applies to the latest MR version. `anchorLines` is
+// the code the finding was anchored to; new-side findings are looked up in the
+// current head file (null when the file is gone), old-side findings among the
+// removed lines of the current diff.
+function classifyFinding(anchorLines, side, { fileLines = null, fileDiff = null } = {}) {
+  const needle = anchorLines.map((line) => line.trim()).filter(Boolean);
+  if (needle.length === 0) return "unknown";
+  if (side === "old") {
+    const removed = linesOfType(fileDiff, LINE_TYPES.removed).map((line) => line.content);
+    return containsCodeBlock(removed, needle) ? "unchanged" : "code_changed";
+  }
+  if (fileLines === null) return "file_removed";
+  return containsCodeBlock(fileLines, needle) ? "unchanged" : "code_changed";
+}
+
+// Reply to and resolve the bot's unresolved inline findings whose code was removed
+// or rewritten since they were posted. Threads listed in IGNORED_DISCUSSIONS, threads
+// started by other users and findings made against the current head are left alone.
+async function reconcileBotDiscussions(projectId, mergeRequestIid, { dryRun = false } = {}) {
+  const base = `/projects/${encodeURIComponent(projectId)}/merge_requests/${mergeRequestIid}`;
+  const [currentUser, mr, changesResp, discussions] = await Promise.all([
+    getCurrentUser(),
+    gitlabApi(base),
+    gitlabApi(`${base}/changes`),
+    gitlabApi(`${base}/discussions?per_page=${GITLAB_ALL_PAGES_PER_PAGE}`, { paginate: true }),
+  ]);
+  if (!currentUser?.id) {
+    throw new Error("Cannot reconcile findings without resolving the current GitLab user");
+  }
+  const headSha = mr?.diff_refs?.head_sha;
+  if (!headSha) {
+    throw new Error("Missing diff_refs for MR; cannot reconcile findings");
+  }
+  const model = buildDiffModel((changesResp && changesResp.changes) || []);
+  const ignoredIds = parseIgnoredDiscussions();
+  const fileCache = new Map();
+  const readLines = async (filePath, ref) => {
+    const key = `${ref}:${filePath}`;
+    if (!fileCache.has(key)) {
+      fileCache.set(
+        key,
+        fetchFileLines(projectId, filePath, ref).catch((error) => {
+          if (error.category === "not_found") return null;
+          throw error;
+        })
+      );
+    }
+    return fileCache.get(key);
+  };
+
+  const results = [];
+  for (const discussion of Array.isArray(discussions) ? discussions : []) {
+    const firstNote = (discussion.notes || []).find((note) => note && !note.system);
+    if (!firstNote?.position || !firstNote.resolvable || firstNote.resolved) continue;
+    if (!isDiscussionStartedBy(discussion, currentUser)) continue;
+    if (ignoredIds.has(discussion.id)) {
+      results.push({ discussion_id: discussion.id, status: "ignored", action: "skipped" });
+      continue;
+    }
+    const anchor = findingAnchor(firstNote.position);
+    if (!anchor || !anchor.sha || anchor.sha === headSha) continue;
+
+    try {
+      const anchoredFile = await readLines(anchor.path, anchor.sha);
+      if (!anchoredFile) {
+        results.push({ discussion_id: discussion.id, status: "unknown", action: "kept" });
+        continue;
+      }
+      const anchorLines = anchoredFile.slice(anchor.start - 1, anchor.end);
+      const fileDiff = findFileDiff(model, anchor.path);
+      const status = classifyFinding(anchorLines, anchor.side, {
+        fileDiff,
+        fileLines: anchor.side === "new" ? await readLines(fileDiff ? fileDiff.newPath : anchor.path, headSha) : null,
+      });
+      const result = { discussion_id: discussion.id, path: anchor.path, line: anchor.end, status };
+      if (!RECONCILE_REPLIES[status]) {
+        results.push({ ...result, action: "kept" });
+        continue;
+      }
+      if (dryRun) {
+        results.push({ ...result, action: "would_resolve" });
+        continue;
+      }
+
+      const reply = withFindingMetadata(
+        RECONCILE_REPLIES[status](headSha.slice(0, 8)),
+        findingMetadataFor(firstNote.body, firstNote.position, {
+          kind: "reconcile",
+          sha: headSha,
+          rule: parseFindingMetadata(firstNote.body)?.rule || null,
+          fingerprint: parseFindingMetadata(firstNote.body)?.fingerprint || null,
+        })
+      );
+      if (GITLAB_MCP_REVIEW_MODE === "draft") {
+        // Staged with the rest of the review; GitLab resolves the thread when the draft is published
+        await gitlabApi(`${base}/draft_notes`, {
+          method: "POST",
+          body: JSON.stringify({ note: reply, in_reply_to_discussion_id: discussion.id, resolve_discussion: true }),
+        });
+      } else {
+        await gitlabApi(`${base}/discussions/${encodeURIComponent(discussion.id)}/notes`, {
+          method: "POST",
+          body: JSON.stringify({ body: reply }),
+        });
+        await gitlabApi(`${base}/discussions/${encodeURIComponent(discussion.id)}?resolved=true`, {
+          method: "PUT",
+          retry: true,
+        });
+      }
+      results.push({ ...result, action: "resolved" });
+    } catch (error) {
+      log("warn", "Failed to reconcile bot discussion", { discussionId: discussion.id, message: error.message });
+      results.push({ discussion_id: discussion.id, status: "error", action: "kept", message: error.message });
+    }
+  }
+
+  return { head_sha: headSha, dry_run: dryRun, results };
+}
+
+function ignoredDiscussionSet() {
+  return parseIgnoredDiscussions();
+}
+
+// Tool catalogue; ListTools only advertises the subset allowed by the active policy
+const LINE_RANGE_ENDPOINT_SCHEMA = {
+  type: "object",
+  properties: {
+    line_code: { type: "string", description: "Computed from the diff when omitted" },
+    type: { type: "string", enum: ["new", "old"], description: "new for added lines, old otherwise" },
+    old_line: { type: "number" },
+    new_line: { type: "number" },
+  },
+};
+
+const TOOL_DEFINITIONS = [
+  // Original community tools
+  {
+    name: "create_or_update_file",
+    description: "Create or update a single file in a GitLab project",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        file_path: { type: "string", description: "Path where to create/update the file" },
+        content: { type: "string", description: "Content of the file" },
+        commit_message: { type: "string", description: "Commit message" },
+        branch: { type: "string", description: "Branch to create/update the file in" },
       },
-      {
-        name: "get_merge_request_changes",
-        description: "Get file changes in a merge request",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
+      required: ["project_id", "file_path", "content", "commit_message", "branch"],
+    },
+  },
+  {
+    name: "create_commit",
+    description:
+      "Create one commit that creates, updates, deletes or moves several files at once. Either every action is applied or none is",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        branch: { type: "string", description: "Branch to commit to (created from start_branch/start_sha if missing)" },
+        commit_message: { type: "string", description: "Commit message" },
+        actions: {
+          type: "array",
+          description: "File changes applied in this commit",
+          items: {
+            type: "object",
+            properties: {
+              action: { type: "string", enum: ["create", "update", "delete", "move"], description: "What to do with the file" },
+              file_path: { type: "string", description: "Path of the file (the new path for move)" },
+              previous_path: { type: "string", description: "Original path of a moved file" },
+              content: { type: "string", description: "File content (required for create and update, optional for move)" },
+              encoding: { type: "string", enum: ["text", "base64"], description: "Encoding of content (default text)" },
+              last_commit_id: {
+                type: "string",
+                description: "Last known commit of the file; the commit is rejected if the file changed since",
+              },
+            },
+            required: ["action", "file_path"],
           },
-          required: ["project_id", "merge_request_iid"],
         },
+        start_branch: { type: "string", description: "Branch to start a new branch from" },
+        start_sha: { type: "string", description: "Commit SHA to start a new branch from" },
+        author_name: { type: "string", description: "Commit author name (default: token user)" },
+        author_email: { type: "string", description: "Commit author email (default: token user)" },
       },
-      {
-        name: "list_merge_requests",
-        description: "List merge requests in a project",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            state: { type: "string", enum: ["opened", "closed", "merged"], description: "MR state filter" },
-            per_page: { type: "number", description: "Results per page" },
-          },
-          required: ["project_id"],
-        },
+      required: ["project_id", "branch", "commit_message", "actions"],
+    },
+  },
+  {
+    name: "create_branch",
+    description: "Create a branch from an existing branch, tag or commit",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        branch: { type: "string", description: "Name of the new branch" },
+        ref: { type: "string", description: "Branch/tag/commit to branch from" },
       },
-      {
-        name: "get_issue",
-        description: "Get details of a specific issue",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            issue_iid: { type: "string", description: "Issue IID" },
-          },
-          required: ["project_id", "issue_iid"],
+      required: ["project_id", "branch", "ref"],
+    },
+  },
+  {
+    name: "get_file_contents",
+    description:
+      "Get the text of a file, or a line range of it, from a GitLab project. The second content item reports the ref, commit and blob SHA read, the line range shown and whether it was truncated; binary files return that metadata only",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        file_path: { type: "string", description: "Path to the file (use list_repository_tree for directories)" },
+        ref: { type: "string", description: "Branch/tag/commit to get contents from (default: default branch)" },
+        start_line: { type: "number", description: "First line to return (1-based)" },
+        end_line: { type: "number", description: "Last line to return (default: end of file)" },
+        max_bytes: {
+          type: "number",
+          description: "Stop after this many bytes at a whole line (mid-line when one line alone is longer) and add a truncation marker (default GITLAB_MCP_FILE_MAX_BYTES, 65536)",
         },
+        line_numbers: { type: "boolean", description: "Prefix every line with its line number" },
       },
-      {
-        name: "list_issues",
-        description: "List issues in a project",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            state: { type: "string", enum: ["opened", "closed", "all"], description: "Issue state filter" },
-            labels: { type: "array", items: { type: "string" }, description: "Labels to filter by" },
-            per_page: { type: "number", description: "Results per page" },
-          },
-          required: ["project_id"],
-        },
+      required: ["project_id", "file_path"],
+    },
+  },
+  {
+    name: "list_repository_tree",
+    description: "List files and directories in a repository, optionally below a path and recursively",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        path: { type: "string", description: "Directory to list (default: repository root)" },
+        ref: { type: "string", description: "Branch/tag/commit to list (default: default branch)" },
+        recursive: { type: "boolean", description: "Include the contents of subdirectories" },
+        ...PAGINATION_PROPERTIES,
       },
-      {
-        name: "list_project_labels",
-        description: "List labels configured in a project",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            per_page: { type: "number", description: "Results per page" },
-          },
-          required: ["project_id"],
+      required: ["project_id"],
+    },
+  },
+  {
+    name: "compare_refs",
+    description: "Compare two branches, tags or commits: the commits between them and the per-file diffs",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        from: { type: "string", description: "Branch/tag/commit to compare from" },
+        to: { type: "string", description: "Branch/tag/commit to compare to" },
+        straight: {
+          type: "boolean",
+          description: "Compare from and to directly instead of from their merge base (default false)",
         },
       },
-      {
-        name: "add_issue_labels",
-        description: "Add labels to an issue",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            issue_iid: { type: "string", description: "Issue IID" },
-            labels: {
-              type: "array",
-              items: { type: "string" },
-              description: "Labels to add",
-            },
-          },
-          required: ["project_id", "issue_iid", "labels"],
+      required: ["project_id", "from", "to"],
+    },
+  },
+  {
+    name: "get_file_blame",
+    description:
+      "Blame a file or a line range: which commit last changed each line. With merge_request_iid, each range reports whether the MR introduced it",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        file_path: { type: "string", description: "Path to the file" },
+        ref: { type: "string", description: "Branch/tag/commit to blame (default: MR head, else default branch)" },
+        start_line: { type: "number", description: "First line of the range (1-based)" },
+        end_line: { type: "number", description: "Last line of the range (defaults to start_line)" },
+        merge_request_iid: {
+          type: "string",
+          description: "Merge request whose commits should be flagged as introduced_in_merge_request",
         },
       },
-      {
-        name: "create_issue_note",
-        description: "Create a note on an issue",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            issue_iid: { type: "string", description: "Issue IID" },
-            body: { type: "string", description: "Note content" },
-          },
-          required: ["project_id", "issue_iid", "body"],
-        },
+      required: ["project_id", "file_path"],
+    },
+  },
+  {
+    name: "create_merge_request",
+    description: "Create a new merge request in a GitLab project",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        title: { type: "string", description: "MR title" },
+        description: { type: "string", description: "MR description" },
+        source_branch: { type: "string", description: "Branch containing changes" },
+        target_branch: { type: "string", description: "Branch to merge into" },
       },
-      // NEW: Pipeline tools
-      {
-        name: "get_pipeline_jobs",
-        description: "Get jobs in a specific pipeline",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            pipeline_id: { type: "string", description: "Pipeline ID" },
-          },
-          required: ["project_id", "pipeline_id"],
-        },
+      required: ["project_id", "title", "source_branch", "target_branch"],
+    },
+  },
+  // NEW: Missing MR read functions
+  {
+    name: "get_merge_request",
+    description: "Get details of a specific merge request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
       },
-      {
-        name: "get_merge_request_pipelines",
-        description: "Get pipelines for a merge request",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
-          },
-          required: ["project_id", "merge_request_iid"],
-        },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "update_merge_request",
+    description: "Update merge request metadata: add/remove labels, set assignees or reviewers (by ID or username), toggle Draft, edit title/description. Title and description edits need the matching policy capability.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        add_labels: { type: "array", items: { type: "string" }, description: "Labels to add" },
+        remove_labels: { type: "array", items: { type: "string" }, description: "Labels to remove" },
+        assignee_ids: { type: "array", items: { type: "number" }, description: "Assignee user IDs (replaces current assignees)" },
+        assignee_usernames: { type: "array", items: { type: "string" }, description: "Assignee usernames, resolved to IDs" },
+        reviewer_ids: { type: "array", items: { type: "number" }, description: "Reviewer user IDs (replaces current reviewers)" },
+        reviewer_usernames: { type: "array", items: { type: "string" }, description: "Reviewer usernames, resolved to IDs" },
+        draft: { type: "boolean", description: "true marks the MR as Draft, false marks it ready" },
+        title: { type: "string", description: "New title (policy capability update_merge_request:title)" },
+        description: { type: "string", description: "New description (policy capability update_merge_request:description)" },
       },
-      {
-        name: "get_pipeline",
-        description: "Get details of a specific pipeline",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            pipeline_id: { type: "string", description: "Pipeline ID" },
-          },
-          required: ["project_id", "pipeline_id"],
-        },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "get_merge_request_commits",
+    description: "Get commits in a merge request (all pages by default)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        ...PAGINATION_PROPERTIES,
       },
-      {
-        name: "list_pipelines",
-        description: "List pipelines in a project",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            status: { type: "string", enum: ["created", "waiting_for_resource", "preparing", "pending", "running", "success", "failed", "canceled", "skipped", "manual", "scheduled"], description: "Pipeline status filter" },
-            ref: { type: "string", description: "Branch/tag name filter" },
-            per_page: { type: "number", description: "Results per page" },
-          },
-          required: ["project_id"],
-        },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "upsert_summary_note",
+    description: "Create the review summary note, or update the bot's previous summary in place with a revision / reviewed-SHA header instead of posting another one. In draft mode the update is staged as one pending summary draft",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        body: { type: "string", description: "Summary markdown" },
+        reviewed_sha: { type: "string", description: "Head SHA covered by this review; shown in the header and stored for incremental reviews" },
+        keep_history: { type: "boolean", description: `Keep previous summaries in a collapsed section (last ${SUMMARY_HISTORY_LIMIT})` },
       },
-      {
-        name: "get_job_log",
-        description: "Get log output from a specific job",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            job_id: { type: "string", description: "Job ID" },
-          },
-          required: ["project_id", "job_id"],
-        },
+      required: ["project_id", "merge_request_iid", "body"],
+    },
+  },
+  {
+    name: "list_bot_findings",
+    description: "List the bot's inline findings on a merge request as structured records (fingerprint, severity, rule, file, line, reviewed SHA, skill version) read from their hidden metadata",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        include_resolved: { type: "boolean", description: "Include findings in resolved threads (default false)" },
       },
-      {
-        name: "retry_pipeline",
-        description: "Retry a failed pipeline",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            pipeline_id: { type: "string", description: "Pipeline ID" },
-          },
-          required: ["project_id", "pipeline_id"],
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "evaluate_review_gate",
+    description: "Count the bot's unresolved findings at or above a severity (ignored threads excluded) and report whether the merge gate passes",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        severity: {
+          type: "string",
+          enum: ["critical", "high", "medium", "low"],
+          description: "Lowest severity that blocks (default critical)",
         },
+        max_findings: { type: "number", description: "Blocking findings tolerated before the gate fails (default 0)" },
       },
-      {
-        name: "cancel_pipeline",
-        description: "Cancel a running pipeline",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            pipeline_id: { type: "string", description: "Pipeline ID" },
-          },
-          required: ["project_id", "pipeline_id"],
-        },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "get_incremental_diff",
+    description: "Get only the changes pushed since the bot's last review (head SHA recorded in its summary note marker), via MR versions and the compare API. Returns mode full when an incremental diff is not possible, none when the head was already reviewed",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        since_sha: { type: "string", description: "Compare from this SHA instead of the recorded marker" },
       },
-      {
-        name: "trigger_pipeline",
-        description: "Trigger a new pipeline",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            ref: { type: "string", description: "Branch or tag to run pipeline for" },
-            variables: { type: "object", description: "Pipeline variables as key-value pairs" },
-          },
-          required: ["project_id", "ref"],
-        },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "get_merge_request_changes",
+    description: "Get file changes in a merge request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
       },
-      {
-        name: "discussion_add_note",
-        description: "Add a note/comment to a merge request discussion",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
-            body: { type: "string", description: "The content of the note/comment" },
-            discussion_id: { type: "string", description: "Discussion ID (optional, for replying to existing discussion)" }
-          },
-          required: ["project_id", "merge_request_iid", "body"],
-        },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "list_merge_requests",
+    description: "List merge requests in a project",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        state: { type: "string", enum: ["opened", "closed", "merged"], description: "MR state filter" },
+        ...PAGINATION_PROPERTIES,
       },
-      {
-        name: "update_note",
-        description: "Update an existing merge request note by ID",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
-            note_id: { type: "string", description: "Note ID to update" },
-            body: { type: "string", description: "New content for the note" },
-          },
-          required: ["project_id", "merge_request_iid", "note_id", "body"],
-        },
+      required: ["project_id"],
+    },
+  },
+  {
+    name: "get_issue",
+    description: "Get details of a specific issue",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        issue_iid: { type: "string", description: "Issue IID" },
       },
-      {
-        name: "discussion_list",
-        description: "List all discussions/comments in a merge request",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
-          },
-          required: ["project_id", "merge_request_iid"],
+      required: ["project_id", "issue_iid"],
+    },
+  },
+  {
+    name: "list_issues",
+    description: "List issues in a project",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        state: { type: "string", enum: ["opened", "closed", "all"], description: "Issue state filter" },
+        labels: { type: "array", items: { type: "string" }, description: "Labels to filter by" },
+        ...PAGINATION_PROPERTIES,
+      },
+      required: ["project_id"],
+    },
+  },
+  {
+    name: "list_project_labels",
+    description: "List labels configured in a project (all pages by default)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        ...PAGINATION_PROPERTIES,
+      },
+      required: ["project_id"],
+    },
+  },
+  {
+    name: "add_issue_labels",
+    description: "Add labels to an issue",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        issue_iid: { type: "string", description: "Issue IID" },
+        labels: {
+          type: "array",
+          items: { type: "string" },
+          description: "Labels to add",
         },
       },
-      {
-        name: "get_merge_request_participants",
-        description: "Get participants (users involved) in a merge request",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
-          },
-          required: ["project_id", "merge_request_iid"],
+      required: ["project_id", "issue_iid", "labels"],
+    },
+  },
+  {
+    name: "create_issue_note",
+    description: "Create a note on an issue",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        issue_iid: { type: "string", description: "Issue IID" },
+        body: { type: "string", description: "Note content" },
+      },
+      required: ["project_id", "issue_iid", "body"],
+    },
+  },
+  // NEW: Pipeline tools
+  {
+    name: "get_pipeline_jobs",
+    description: "Get jobs in a specific pipeline",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        pipeline_id: { type: "string", description: "Pipeline ID" },
+      },
+      required: ["project_id", "pipeline_id"],
+    },
+  },
+  {
+    name: "get_merge_request_pipelines",
+    description: "Get pipelines for a merge request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "get_pipeline",
+    description: "Get details of a specific pipeline",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        pipeline_id: { type: "string", description: "Pipeline ID" },
+      },
+      required: ["project_id", "pipeline_id"],
+    },
+  },
+  {
+    name: "list_pipelines",
+    description: "List pipelines in a project",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        status: { type: "string", enum: ["created", "waiting_for_resource", "preparing", "pending", "running", "success", "failed", "canceled", "skipped", "manual", "scheduled"], description: "Pipeline status filter" },
+        ref: { type: "string", description: "Branch/tag name filter" },
+        ...PAGINATION_PROPERTIES,
+      },
+      required: ["project_id"],
+    },
+  },
+  {
+    name: "get_job_log",
+    description: "Get log output from a specific job",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        job_id: { type: "string", description: "Job ID" },
+      },
+      required: ["project_id", "job_id"],
+    },
+  },
+  {
+    name: "retry_pipeline",
+    description: "Retry a failed pipeline",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        pipeline_id: { type: "string", description: "Pipeline ID" },
+      },
+      required: ["project_id", "pipeline_id"],
+    },
+  },
+  {
+    name: "cancel_pipeline",
+    description: "Cancel a running pipeline",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        pipeline_id: { type: "string", description: "Pipeline ID" },
+      },
+      required: ["project_id", "pipeline_id"],
+    },
+  },
+  {
+    name: "trigger_pipeline",
+    description: "Trigger a new pipeline",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        ref: { type: "string", description: "Branch or tag to run pipeline for" },
+        variables: { type: "object", description: "Pipeline variables as key-value pairs" },
+      },
+      required: ["project_id", "ref"],
+    },
+  },
+  {
+    name: "set_commit_status",
+    description: "Create or update a named commit status (shown as a check on the MR widget), e.g. the review verdict",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        sha: { type: "string", description: "Commit SHA, usually the MR head_sha" },
+        state: { type: "string", enum: COMMIT_STATUS_STATES, description: "Status state" },
+        name: { type: "string", description: `Status name (default "${DEFAULT_COMMIT_STATUS_NAME}")` },
+        description: { type: "string", description: "Short verdict shown next to the status" },
+        target_url: { type: "string", description: "Link opened from the status, e.g. the summary note or job" },
+        ref: { type: "string", description: "Branch the commit belongs to (optional)" },
+        pipeline_id: { type: "number", description: "Pipeline to attach the status to (optional)" },
+      },
+      required: ["project_id", "sha", "state"],
+    },
+  },
+  {
+    name: "list_external_status_checks",
+    description: "List the external status checks configured for a merge request with their current status",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "respond_external_status_check",
+    description: "Set the result of an external status check on a merge request (identified by ID or name) for its head commit",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        external_status_check_id: { type: "number", description: "External status check ID" },
+        name: { type: "string", description: "External status check name, used when no ID is given" },
+        status: { type: "string", enum: ["passed", "failed", "pending"], description: "Check result" },
+        sha: { type: "string", description: "MR head SHA the result applies to (defaults to the current head)" },
+      },
+      required: ["project_id", "merge_request_iid", "status"],
+    },
+  },
+  {
+    name: "get_merge_request_approvals",
+    description: "Get a merge request's approval state (who approved, approvals left) and its approval rules",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "approve_merge_request",
+    description: "Approve a merge request as the current user",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        sha: { type: "string", description: "Head SHA the approval is for; GitLab rejects it if the MR has moved on" },
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "unapprove_merge_request",
+    description: "Withdraw the current user's approval of a merge request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "auto_approve_merge_request",
+    description: "Approve the MR when auto-approval is enabled, every changed path matches GITLAB_MCP_AUTO_APPROVE_PATHS and no unresolved bot finding reaches GITLAB_MCP_AUTO_APPROVE_SEVERITY; withdraws an earlier bot approval otherwise",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        dry_run: { type: "boolean", description: "Only report the decision" },
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "discussion_add_note",
+    description: "Add a note/comment to a merge request discussion",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        body: { type: "string", description: "The content of the note/comment" },
+        discussion_id: { type: "string", description: "Discussion ID (optional, for replying to existing discussion)" },
+        reviewed_sha: { type: "string", description: "Head SHA covered by this review summary; stored in a hidden marker for incremental reviews" }
+      },
+      required: ["project_id", "merge_request_iid", "body"],
+    },
+  },
+  {
+    name: "update_note",
+    description: "Update an existing merge request note by ID",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        note_id: { type: "string", description: "Note ID to update" },
+        body: { type: "string", description: "New content for the note" },
+      },
+      required: ["project_id", "merge_request_iid", "note_id", "body"],
+    },
+  },
+  {
+    name: "discussion_list",
+    description: "List all discussions/comments in a merge request (all pages by default)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        ...PAGINATION_PROPERTIES,
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "get_merge_request_participants",
+    description: "Get participants (users involved) in a merge request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "list_merge_request_diffs",
+    description: "List detailed diffs for a merge request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "create_anchored_discussion_auto",
+    description: "Create a new MR discussion anchored to the diff line that best matches the body (added lines first, then removed lines), or to an explicit line. Falls back to top-level note on failure.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        body: { type: "string", description: "Discussion body text" },
+        file_path: { type: "string", description: "Optional file path to anchor within (uses new_path from diff)" },
+        line_type: {
+          type: "string",
+          enum: ["added", "removed", "context"],
+          description: "Restrict anchoring to added lines, removed lines (findings about deleted code) or unchanged context lines",
         },
-      },
-      {
-        name: "list_merge_request_diffs",
-        description: "List detailed diffs for a merge request",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
-          },
-          required: ["project_id", "merge_request_iid"],
+        line: {
+          type: "number",
+          description: "Exact line to anchor to: old-file numbering when line_type is removed, new-file numbering otherwise",
         },
-      },
-      {
-        name: "create_anchored_discussion_auto",
-        description: "Create a new MR discussion anchored to the first added line in the latest diffs. Falls back to top-level note on failure.",
-        inputSchema: {
-          type: "object",
-          properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
-            body: { type: "string", description: "Discussion body text" },
-            file_path: { type: "string", description: "Optional file path to anchor within (uses new_path from diff)" }
-          },
-          required: ["project_id", "merge_request_iid", "body"],
+        rule_id: { type: "string", description: "Stable rule identifier for the finding (e.g. unity-update-allocation); used to recognise it across rephrasings" },
+        end_line: {
+          type: "number",
+          description: "Last line of a multi-line range starting at `line` (same numbering). Bare ```suggestion blocks are widened to replace the whole range",
         },
       },
-      {
-        name: "create_mr_discussion_with_position",
-        description: "Create a new MR discussion anchored to a specific diff position",
-        inputSchema: {
+      required: ["project_id", "merge_request_iid", "body"],
+    },
+  },
+  {
+    name: "create_mr_discussion_with_position",
+    description: "Create a new MR discussion anchored to a specific diff position",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        body: { type: "string", description: "Discussion body text" },
+        rule_id: { type: "string", description: "Stable rule identifier for the finding; used to recognise it across rephrasings" },
+        position: {
           type: "object",
+          description: "GitLab diff position object",
           properties: {
-            project_id: { type: "string", description: "Project ID or URL-encoded path" },
-            merge_request_iid: { type: "string", description: "Merge request IID" },
-            body: { type: "string", description: "Discussion body text" },
-            position: {
+            position_type: { type: "string", enum: ["text", "image"], description: "Position type" },
+            base_sha: { type: "string" },
+            start_sha: { type: "string" },
+            head_sha: { type: "string" },
+            new_path: { type: "string" },
+            old_path: { type: "string" },
+            new_line: { type: "number" },
+            old_line: { type: "number" },
+            line_range: {
               type: "object",
-              description: "GitLab diff position object",
+              description: "Multi-line range; the note is anchored on `end` and missing line_code values are computed",
               properties: {
-                position_type: { type: "string", enum: ["text", "image"], description: "Position type" },
-                base_sha: { type: "string" },
-                start_sha: { type: "string" },
-                head_sha: { type: "string" },
-                new_path: { type: "string" },
-                old_path: { type: "string" },
-                new_line: { type: "number" },
-                old_line: { type: "number" }
+                start: LINE_RANGE_ENDPOINT_SCHEMA,
+                end: LINE_RANGE_ENDPOINT_SCHEMA,
               },
-              required: ["position_type", "base_sha", "start_sha", "head_sha"],
-            }
+            },
           },
-          required: ["project_id", "merge_request_iid", "body", "position"],
-        },
+          required: ["position_type", "base_sha", "start_sha", "head_sha"],
+        }
+      },
+      required: ["project_id", "merge_request_iid", "body", "position"],
+    },
+  },
+  {
+    name: "resolve_discussion",
+    description: "Resolve a merge request discussion thread. Only threads started by the current (bot) user can be resolved",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        discussion_id: { type: "string", description: "Discussion ID" },
+      },
+      required: ["project_id", "merge_request_iid", "discussion_id"],
+    },
+  },
+  {
+    name: "unresolve_discussion",
+    description: "Reopen a resolved merge request discussion thread. Only threads started by the current (bot) user can be reopened",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        discussion_id: { type: "string", description: "Discussion ID" },
+      },
+      required: ["project_id", "merge_request_iid", "discussion_id"],
+    },
+  },
+  {
+    name: "reconcile_bot_discussions",
+    description: "Check the bot's unresolved inline findings against the latest MR version; reply to and resolve those whose code was removed or rewritten. Respects IGNORED_DISCUSSIONS",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        dry_run: { type: "boolean", description: "Only report what would be resolved" },
       },
-    ],
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "list_draft_notes",
+    description: "List the current user's pending draft notes on a merge request",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+  {
+    name: "create_draft_note",
+    description: "Stage a draft note (optionally at a diff position or as a reply) that stays invisible until published",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        note: { type: "string", description: "Draft note text" },
+        rule_id: { type: "string", description: "Stable rule identifier for a positioned finding; used to recognise it across rephrasings" },
+        position: { type: "object", description: "Optional GitLab diff position object" },
+        in_reply_to_discussion_id: { type: "string", description: "Discussion ID to reply to" },
+        resolve_discussion: { type: "boolean", description: "Resolve the replied-to discussion when published" },
+        reviewed_sha: { type: "string", description: "Head SHA covered by this review summary; stored in a hidden marker for incremental reviews" },
+      },
+      required: ["project_id", "merge_request_iid", "note"],
+    },
+  },
+  {
+    name: "update_draft_note",
+    description: "Update the text or position of a pending draft note",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        draft_note_id: { type: "string", description: "Draft note ID" },
+        note: { type: "string", description: "New draft note text" },
+        position: { type: "object", description: "New GitLab diff position object" },
+      },
+      required: ["project_id", "merge_request_iid", "draft_note_id"],
+    },
+  },
+  {
+    name: "delete_draft_note",
+    description: "Delete a pending draft note",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        draft_note_id: { type: "string", description: "Draft note ID" },
+      },
+      required: ["project_id", "merge_request_iid", "draft_note_id"],
+    },
+  },
+  {
+    name: "publish_draft_notes",
+    description: "Publish all pending draft notes at once (bulk_publish), or a single draft when draft_note_id is given. A pending summary draft replaces the published summary note instead of adding a second one",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project_id: { type: "string", description: "Project ID or URL-encoded path" },
+        merge_request_iid: { type: "string", description: "Merge request IID" },
+        draft_note_id: { type: "string", description: "Optional draft note ID to publish on its own" },
+      },
+      required: ["project_id", "merge_request_iid"],
+    },
+  },
+];
+
+// Server-side tool policy. Presets bound what a prompt-injected agent can reach,
+// independent of the Gemini CLI `includeTools` setting.
+const READ_ONLY_TOOLS = [
+  "get_file_contents",
+  "list_repository_tree",
+  "compare_refs",
+  "get_file_blame",
+  "get_merge_request",
+  "get_merge_request_commits",
+  "get_merge_request_changes",
+  "get_incremental_diff",
+  "list_bot_findings",
+  "evaluate_review_gate",
+  "list_external_status_checks",
+  "get_merge_request_approvals",
+  "list_merge_requests",
+  "get_issue",
+  "list_issues",
+  "list_project_labels",
+  "get_pipeline_jobs",
+  "get_merge_request_pipelines",
+  "get_pipeline",
+  "list_pipelines",
+  "get_job_log",
+  "discussion_list",
+  "list_draft_notes",
+  "get_merge_request_participants",
+  "list_merge_request_diffs",
+];
+
+const REVIEW_WRITE_TOOLS = [
+  "discussion_add_note",
+  "update_note",
+  "upsert_summary_note",
+  "create_anchored_discussion_auto",
+  "create_mr_discussion_with_position",
+  "resolve_discussion",
+  "unresolve_discussion",
+  "reconcile_bot_discussions",
+  "create_draft_note",
+  "update_draft_note",
+  "delete_draft_note",
+  "publish_draft_notes",
+  "auto_approve_merge_request",
+  "update_merge_request",
+];
+
+const TRIAGE_WRITE_TOOLS = ["add_issue_labels", "create_issue_note"];
+
+// Parts of a tool that need their own policy entry (`tool:capability`) beyond the tool itself;
+// only the `full` preset or an explicit allow grants them
+const MERGE_REQUEST_TEXT_FIELDS = ["title", "description"];
+
+const POLICY_PRESETS = {
+  readonly: READ_ONLY_TOOLS,
+  review: [...READ_ONLY_TOOLS, ...REVIEW_WRITE_TOOLS],
+  triage: [...READ_ONLY_TOOLS, ...TRIAGE_WRITE_TOOLS],
+  full: null, // every tool
+};
+
+class ToolPolicyError extends Error {
+  constructor(toolName, preset) {
+    super(`Tool "${toolName}" is not allowed by the server policy (${preset})`);
+    this.name = "ToolPolicyError";
+    this.category = "policy";
+    this.tool = toolName;
+    this.preset = preset;
+  }
+
+  toJSON() {
+    return { category: this.category, tool: this.tool, preset: this.preset };
+  }
+}
+
+function parseToolList(value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item).trim()).filter(Boolean);
+  }
+  if (typeof value === "string") {
+    return value.split(",").map((item) => item.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+// Resolve the active policy from GITLAB_MCP_POLICY_FILE (JSON: { preset, allow, deny })
+// and the GITLAB_MCP_POLICY / GITLAB_MCP_ALLOWED_TOOLS / GITLAB_MCP_DENIED_TOOLS overrides.
+// An unreadable file or unknown preset fails closed to `readonly`.
+function resolveToolPolicy(env = process.env) {
+  let fileConfig = {};
+  if (env.GITLAB_MCP_POLICY_FILE) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(env.GITLAB_MCP_POLICY_FILE, "utf-8")) || {};
+    } catch (error) {
+      log("error", "Failed to read GITLAB_MCP_POLICY_FILE; falling back to readonly", {
+        message: error.message,
+      });
+      return { preset: "readonly", allowed: new Set(READ_ONLY_TOOLS), denied: new Set() };
+    }
+  }
+
+  const allow = [...parseToolList(fileConfig.allow), ...parseToolList(env.GITLAB_MCP_ALLOWED_TOOLS)];
+  const deny = [...parseToolList(fileConfig.deny), ...parseToolList(env.GITLAB_MCP_DENIED_TOOLS)];
+  const requestedPreset = (env.GITLAB_MCP_POLICY || fileConfig.preset || "").trim().toLowerCase();
+
+  // Nothing configured means read-only: write tools, pipelines and `full` must be opted into
+  let preset = requestedPreset || (allow.length ? "custom" : "readonly");
+  let base;
+  if (preset === "custom") {
+    base = [];
+  } else if (Object.prototype.hasOwnProperty.call(POLICY_PRESETS, preset)) {
+    base = POLICY_PRESETS[preset];
+  } else {
+    log("error", "Unknown tool policy preset; falling back to readonly", { preset });
+    preset = "readonly";
+    base = POLICY_PRESETS.readonly;
+  }
+
+  return {
+    preset,
+    allowed: base === null ? null : new Set([...base, ...allow]),
+    denied: new Set(deny),
+  };
+}
+
+function isToolAllowed(policy, toolName) {
+  if (!policy) return true;
+  if (policy.denied.has(toolName)) return false;
+  return policy.allowed === null || policy.allowed.has(toolName);
+}
+
+const TOOL_POLICY = resolveToolPolicy();
+
+// List all available tools
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return {
+    tools: TOOL_DEFINITIONS.filter((tool) => isToolAllowed(TOOL_POLICY, tool.name)),
   };
 });
 
 // Handle tool calls
-async function executeTool(name, args) {
+async function executeTool(name, args, policy = TOOL_POLICY) {
+  if (!isToolAllowed(policy, name)) {
+    throw new ToolPolicyError(name, policy.preset);
+  }
+  return toolContext.run({ tool: name }, () => dispatchTool(name, args, policy));
+}
+
+async function dispatchTool(name, args, policy = TOOL_POLICY) {
   switch (name) {
-      case "get_merge_request":
-        const mr = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}`);
-        return { content: [{ type: "text", text: JSON.stringify(mr, null, 2) }] };
-
-      case "get_merge_request_commits":
-        const commits = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/commits`);
-        return { content: [{ type: "text", text: JSON.stringify(commits, null, 2) }] };
-
-      case "get_merge_request_changes":
-        const changes = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/changes`);
-        return { content: [{ type: "text", text: JSON.stringify(changes, null, 2) }] };
-
-      case "list_merge_requests":
-        const params = new URLSearchParams();
-        if (args.state) params.append("state", args.state);
-        if (args.per_page) params.append("per_page", args.per_page);
-        const mrs = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests?${params}`);
-        return { content: [{ type: "text", text: JSON.stringify(mrs, null, 2) }] };
-
-      case "get_issue":
-        const issue = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/issues/${args.issue_iid}`);
-        return { content: [{ type: "text", text: JSON.stringify(issue, null, 2) }] };
-
-      case "list_issues": {
-        const params = new URLSearchParams();
-        if (args.state) params.append("state", args.state);
-        if (args.labels && args.labels.length) {
-          const labels = Array.isArray(args.labels) ? args.labels.join(",") : args.labels;
-          if (labels) params.append("labels", labels);
-        }
-        if (args.per_page) params.append("per_page", args.per_page);
-        const query = params.toString();
-        const endpoint = `/projects/${encodeURIComponent(args.project_id)}/issues${query ? `?${query}` : ""}`;
-        const issues = await gitlabApi(endpoint);
-        return { content: [{ type: "text", text: JSON.stringify(issues, null, 2) }] };
+    case "get_merge_request":
+      const mr = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}`);
+      return { content: [{ type: "text", text: JSON.stringify(mr, null, 2) }] };
+
+    case "update_merge_request": {
+      const mrUpdate = await buildMergeRequestUpdate(args.project_id, args.merge_request_iid, args, policy);
+      const updatedMr = await gitlabApi(
+        `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}`,
+        { method: "PUT", body: JSON.stringify(mrUpdate), retry: true }
+      );
+      return { content: [{ type: "text", text: JSON.stringify(updatedMr, null, 2) }] };
+    }
+
+    case "get_merge_request_commits":
+      const commits = await gitlabList(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/commits`, args, {
+        allPagesByDefault: true,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(commits, null, 2) }] };
+
+    case "upsert_summary_note": {
+      if (args.reviewed_sha) assertCommitSha(args.reviewed_sha, "reviewed_sha");
+      const summaryResult = await upsertSummaryNote(args.project_id, args.merge_request_iid, args.body, {
+        reviewedSha: args.reviewed_sha || null,
+        keepHistory: args.keep_history === true,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(summaryResult, null, 2) }] };
+    }
+
+    case "list_bot_findings": {
+      const [currentUser, findingDiscussions] = await Promise.all([
+        getCurrentUser(),
+        gitlabApi(
+          `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/discussions?per_page=${GITLAB_ALL_PAGES_PER_PAGE}`,
+          { paginate: true }
+        ),
+      ]);
+      if (!currentUser?.id) {
+        throw new Error("Cannot list bot findings without resolving the current GitLab user");
       }
+      const findings = collectBotFindings(findingDiscussions, currentUser, {
+        includeResolved: args.include_resolved === true,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(findings, null, 2) }] };
+    }
 
-      case "list_project_labels": {
-        const params = new URLSearchParams();
-        if (args.per_page) params.append("per_page", args.per_page);
-        const query = params.toString();
-        const endpoint = `/projects/${encodeURIComponent(args.project_id)}/labels${query ? `?${query}` : ""}`;
-        const labels = await gitlabApi(endpoint);
-        return { content: [{ type: "text", text: JSON.stringify(labels, null, 2) }] };
+    case "evaluate_review_gate": {
+      const [gateUser, gateDiscussions] = await Promise.all([
+        getCurrentUser(),
+        gitlabApi(
+          `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/discussions?per_page=${GITLAB_ALL_PAGES_PER_PAGE}`,
+          { paginate: true }
+        ),
+      ]);
+      if (!gateUser?.id) {
+        throw new Error("Cannot evaluate the review gate without resolving the current GitLab user");
       }
+      const gate = evaluateSeverityGate(gateDiscussions, gateUser, {
+        threshold: args.severity || "critical",
+        maxFindings: args.max_findings !== undefined ? Number(args.max_findings) : 0,
+        ignoredIds: Array.from(parseIgnoredDiscussions()),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(gate, null, 2) }] };
+    }
 
-      case "add_issue_labels": {
-        if (!args.labels || !args.labels.length) {
-          throw new Error("labels array is required");
-        }
+    case "get_incremental_diff": {
+      if (args.since_sha) assertCommitSha(args.since_sha, "since_sha");
+      const incremental = await getIncrementalDiff(args.project_id, args.merge_request_iid, args.since_sha || null);
+      return { content: [{ type: "text", text: JSON.stringify(incremental, null, 2) }] };
+    }
+
+    case "get_merge_request_changes":
+      const changes = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/changes`);
+      return { content: [{ type: "text", text: JSON.stringify(changes, null, 2) }] };
+
+    case "list_merge_requests":
+      const params = new URLSearchParams();
+      if (args.state) params.append("state", args.state);
+      const mrs = await gitlabList(`/projects/${encodeURIComponent(args.project_id)}/merge_requests`, args, { params });
+      return { content: [{ type: "text", text: JSON.stringify(mrs, null, 2) }] };
+
+    case "get_issue":
+      const issue = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/issues/${args.issue_iid}`);
+      return { content: [{ type: "text", text: JSON.stringify(issue, null, 2) }] };
+
+    case "list_issues": {
+      const params = new URLSearchParams();
+      if (args.state) params.append("state", args.state);
+      if (args.labels && args.labels.length) {
         const labels = Array.isArray(args.labels) ? args.labels.join(",") : args.labels;
-        const payload = { add_labels: labels };
-        const updatedIssue = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/issues/${args.issue_iid}`, {
-          method: "PUT",
-          body: JSON.stringify(payload),
-        });
-        return { content: [{ type: "text", text: JSON.stringify(updatedIssue, null, 2) }] };
+        if (labels) params.append("labels", labels);
       }
+      const issues = await gitlabList(`/projects/${encodeURIComponent(args.project_id)}/issues`, args, { params });
+      return { content: [{ type: "text", text: JSON.stringify(issues, null, 2) }] };
+    }
 
-      case "create_issue_note": {
-        const payload = { body: args.body };
-        const note = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/issues/${args.issue_iid}/notes`, {
-          method: "POST",
-          body: JSON.stringify(payload),
-        });
-        return { content: [{ type: "text", text: JSON.stringify(note, null, 2) }] };
+    case "list_project_labels": {
+      const labels = await gitlabList(`/projects/${encodeURIComponent(args.project_id)}/labels`, args, {
+        allPagesByDefault: true,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(labels, null, 2) }] };
+    }
+
+    case "add_issue_labels": {
+      if (!args.labels || !args.labels.length) {
+        throw new Error("labels array is required");
       }
+      const labels = Array.isArray(args.labels) ? args.labels.join(",") : args.labels;
+      const payload = { add_labels: labels };
+      const updatedIssue = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/issues/${args.issue_iid}`, {
+        method: "PUT",
+        body: JSON.stringify(payload),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(updatedIssue, null, 2) }] };
+    }
 
-      case "get_file_contents": {
-        let ref = args.ref;
-        if (!ref) {
-          try {
-            const project = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}`);
-            ref = project.default_branch || 'main';
-          } catch (error) {
-            ref = 'main';
-          }
+    case "create_issue_note": {
+      const payload = {
+        body: withFindingMetadata(args.body, buildFindingMetadata({ kind: "comment", body: args.body, skill: GITLAB_MCP_SKILL_VERSION })),
+      };
+      const note = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/issues/${args.issue_iid}/notes`, {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(note, null, 2) }] };
+    }
+
+    case "get_file_contents": {
+      const file = await getFileContents(args.project_id, args.file_path, {
+        ref: args.ref || null,
+        startLine: args.start_line ?? null,
+        endLine: args.end_line ?? null,
+        maxBytes: args.max_bytes || null,
+        lineNumbers: Boolean(args.line_numbers),
+      });
+      const text = file.metadata.binary
+        ? `Binary file ${args.file_path} (${file.metadata.size} bytes) is not shown.`
+        : file.text;
+      return {
+        content: [
+          { type: "text", text },
+          { type: "text", text: JSON.stringify(file.metadata, null, 2) },
+        ],
+      };
+    }
+
+    case "list_repository_tree": {
+      const params = new URLSearchParams();
+      if (args.path) params.append("path", args.path);
+      if (args.ref) params.append("ref", args.ref);
+      if (args.recursive) params.append("recursive", "true");
+      const tree = await gitlabList(`/projects/${encodeURIComponent(args.project_id)}/repository/tree`, args, { params });
+      return { content: [{ type: "text", text: JSON.stringify(tree, null, 2) }] };
+    }
+
+    case "compare_refs": {
+      const params = new URLSearchParams({ from: args.from, to: args.to });
+      if (args.straight) params.append("straight", "true");
+      const comparison = await gitlabApi(
+        `/projects/${encodeURIComponent(args.project_id)}/repository/compare?${params.toString()}`
+      );
+      return { content: [{ type: "text", text: JSON.stringify(comparison, null, 2) }] };
+    }
+
+    case "get_file_blame": {
+      const blame = await getFileBlame(args.project_id, args.file_path, {
+        ref: args.ref || null,
+        startLine: args.start_line ?? null,
+        endLine: args.end_line ?? null,
+        mergeRequestIid: args.merge_request_iid || null,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(blame, null, 2) }] };
+    }
+
+    case "create_or_update_file": {
+      let method = "POST";
+      try {
+        await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/repository/files/${encodeURIComponent(args.file_path)}?ref=${args.branch}`);
+        method = "PUT";
+      } catch (error) {
+        // A 404 means the file doesn't exist yet and should be created via POST
+        if (error.category !== "not_found") {
+          throw error;
         }
-        const file = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/repository/files/${encodeURIComponent(args.file_path)}?ref=${ref}`);
-        const content = Buffer.from(file.content, 'base64').toString('utf8');
-        return { content: [{ type: "text", text: content }] };
       }
+      const fileData = {
+        branch: args.branch,
+        commit_message: args.commit_message,
+        content: args.content,
+      };
+      const result = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/repository/files/${encodeURIComponent(args.file_path)}`, {
+        method,
+        body: JSON.stringify(fileData),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    }
 
-      case "create_or_update_file": {
-        let method = "POST";
-        try {
-          await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/repository/files/${encodeURIComponent(args.file_path)}?ref=${args.branch}`);
-          method = "PUT";
-        } catch (error) {
-          // If GET fails, assume file doesn't exist and create via POST
-        }
-        const fileData = {
-          branch: args.branch,
-          commit_message: args.commit_message,
-          content: args.content,
-        };
-        const result = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/repository/files/${encodeURIComponent(args.file_path)}`, {
-          method,
-          body: JSON.stringify(fileData),
-        });
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    case "create_commit": {
+      if (args.start_sha) assertCommitSha(args.start_sha, "start_sha");
+      const commitData = {
+        branch: args.branch,
+        commit_message: args.commit_message,
+        actions: buildCommitActions(args.actions),
+      };
+      for (const key of ["start_branch", "start_sha", "author_name", "author_email"]) {
+        if (args[key]) commitData[key] = args[key];
       }
+      const commit = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/repository/commits`, {
+        method: "POST",
+        body: JSON.stringify(commitData),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(commit, null, 2) }] };
+    }
 
-      case "create_merge_request":
-        const mrData = {
-          title: args.title,
-          description: args.description || "",
-          source_branch: args.source_branch,
-          target_branch: args.target_branch,
-        };
-        const newMr = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests`, {
-          method: "POST",
-          body: JSON.stringify(mrData),
-        });
-        return { content: [{ type: "text", text: JSON.stringify(newMr, null, 2) }] };
-
-      // Pipeline tools handlers
-      case "get_pipeline_jobs":
-        const jobs = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipelines/${args.pipeline_id}/jobs`);
-        return { content: [{ type: "text", text: JSON.stringify(jobs, null, 2) }] };
-
-      case "get_merge_request_pipelines":
-        const mrPipelines = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/pipelines`);
-        return { content: [{ type: "text", text: JSON.stringify(mrPipelines, null, 2) }] };
-
-      case "get_pipeline":
-        const pipeline = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipelines/${args.pipeline_id}`);
-        return { content: [{ type: "text", text: JSON.stringify(pipeline, null, 2) }] };
-
-      case "list_pipelines":
-        const pipelineParams = new URLSearchParams();
-        if (args.status) pipelineParams.append("status", args.status);
-        if (args.ref) pipelineParams.append("ref", args.ref);
-        if (args.per_page) pipelineParams.append("per_page", args.per_page);
-        const pipelines = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipelines?${pipelineParams}`);
-        return { content: [{ type: "text", text: JSON.stringify(pipelines, null, 2) }] };
-
-      case "get_job_log": {
-        // Job logs return plain text, not JSON
-        const logUrl = `${GITLAB_API_URL}/projects/${encodeURIComponent(args.project_id)}/jobs/${args.job_id}/trace`;
-        const authHeaders = (() => {
-          if (GITLAB_TOKEN_HEADER === "JOB-TOKEN") return { "JOB-TOKEN": GITLAB_TOKEN };
-          if (GITLAB_TOKEN_HEADER === "PRIVATE-TOKEN") return { "PRIVATE-TOKEN": GITLAB_TOKEN };
-          return { "Authorization": `Bearer ${GITLAB_TOKEN}` };
-        })();
-        const logResponse = await fetch(logUrl, { headers: { ...authHeaders } });
-        if (!logResponse.ok) {
-          throw new Error(`GitLab API error: ${logResponse.status} ${logResponse.statusText}`);
-        }
-        const logText = await logResponse.text();
-        return { content: [{ type: "text", text: logText }] };
+    case "create_branch": {
+      const branch = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/repository/branches`, {
+        method: "POST",
+        body: JSON.stringify({ branch: args.branch, ref: args.ref }),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(branch, null, 2) }] };
+    }
+
+    case "create_merge_request":
+      const mrData = {
+        title: args.title,
+        description: args.description || "",
+        source_branch: args.source_branch,
+        target_branch: args.target_branch,
+      };
+      const newMr = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests`, {
+        method: "POST",
+        body: JSON.stringify(mrData),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(newMr, null, 2) }] };
+
+    // Pipeline tools handlers
+    case "get_pipeline_jobs":
+      const jobs = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipelines/${args.pipeline_id}/jobs`);
+      return { content: [{ type: "text", text: JSON.stringify(jobs, null, 2) }] };
+
+    case "get_merge_request_pipelines":
+      const mrPipelines = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/pipelines`);
+      return { content: [{ type: "text", text: JSON.stringify(mrPipelines, null, 2) }] };
+
+    case "get_pipeline":
+      const pipeline = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipelines/${args.pipeline_id}`);
+      return { content: [{ type: "text", text: JSON.stringify(pipeline, null, 2) }] };
+
+    case "list_pipelines":
+      const pipelineParams = new URLSearchParams();
+      if (args.status) pipelineParams.append("status", args.status);
+      if (args.ref) pipelineParams.append("ref", args.ref);
+      const pipelines = await gitlabList(`/projects/${encodeURIComponent(args.project_id)}/pipelines`, args, {
+        params: pipelineParams,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(pipelines, null, 2) }] };
+
+    case "get_job_log": {
+      // Job logs return plain text, not JSON
+      const logText = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/jobs/${args.job_id}/trace`, {
+        responseType: "text",
+      });
+      return { content: [{ type: "text", text: logText }] };
+    }
+
+    case "retry_pipeline":
+      const retryResult = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipelines/${args.pipeline_id}/retry`, {
+        method: "POST",
+      });
+      return { content: [{ type: "text", text: JSON.stringify(retryResult, null, 2) }] };
+
+    case "cancel_pipeline":
+      const cancelResult = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipelines/${args.pipeline_id}/cancel`, {
+        method: "POST",
+      });
+      return { content: [{ type: "text", text: JSON.stringify(cancelResult, null, 2) }] };
+
+    case "trigger_pipeline":
+      const triggerData = {
+        ref: args.ref,
+        variables: args.variables || {},
+      };
+      const triggerResult = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipeline`, {
+        method: "POST",
+        body: JSON.stringify(triggerData),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(triggerResult, null, 2) }] };
+
+    case "set_commit_status": {
+      assertCommitSha(args.sha, "sha");
+      if (!COMMIT_STATUS_STATES.includes(args.state)) {
+        throw new Error(`state must be one of ${COMMIT_STATUS_STATES.join(", ")}`);
       }
+      const statusData = { state: args.state, name: args.name || DEFAULT_COMMIT_STATUS_NAME };
+      if (args.description) statusData.description = args.description;
+      if (args.target_url) statusData.target_url = args.target_url;
+      if (args.ref) statusData.ref = args.ref;
+      if (args.pipeline_id !== undefined) statusData.pipeline_id = Number(args.pipeline_id);
+      const status = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/statuses/${args.sha}`, {
+        method: "POST",
+        body: JSON.stringify(statusData),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(status, null, 2) }] };
+    }
 
-      case "retry_pipeline":
-        const retryResult = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipelines/${args.pipeline_id}/retry`, {
-          method: "POST",
-        });
-        return { content: [{ type: "text", text: JSON.stringify(retryResult, null, 2) }] };
+    case "list_external_status_checks": {
+      const statusChecks = await gitlabApi(
+        `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/status_checks`
+      );
+      return { content: [{ type: "text", text: JSON.stringify(statusChecks, null, 2) }] };
+    }
 
-      case "cancel_pipeline":
-        const cancelResult = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipelines/${args.pipeline_id}/cancel`, {
-          method: "POST",
-        });
-        return { content: [{ type: "text", text: JSON.stringify(cancelResult, null, 2) }] };
-
-      case "trigger_pipeline":
-        const triggerData = {
-          ref: args.ref,
-          variables: args.variables || {},
-        };
-        const triggerResult = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/pipeline`, {
-          method: "POST",
-          body: JSON.stringify(triggerData),
-        });
-        return { content: [{ type: "text", text: JSON.stringify(triggerResult, null, 2) }] };
-
-      // NEW: Discussion/Comment tools handlers
-      case "discussion_add_note":
-        let noteEndpoint;
-        let noteData;
-        
-        if (args.discussion_id) {
-          // Reply to existing discussion
-          noteEndpoint = `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/discussions/${args.discussion_id}/notes`;
-          noteData = { body: args.body };
-        } else {
-          // Create new discussion/comment
-          noteEndpoint = `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/notes`;
-          noteData = { body: args.body };
-        }
-        
-        const noteResult = await gitlabApi(noteEndpoint, {
-          method: "POST",
-          body: JSON.stringify(noteData),
-        });
-        return { content: [{ type: "text", text: JSON.stringify(noteResult, null, 2) }] };
+    case "respond_external_status_check": {
+      const checkResponse = await respondExternalStatusCheck(args.project_id, args.merge_request_iid, {
+        checkId: args.external_status_check_id,
+        name: args.name,
+        status: args.status,
+        sha: args.sha,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(checkResponse, null, 2) }] };
+    }
 
-      case "discussion_list":
-        const discussions = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/discussions`);
-        return { content: [{ type: "text", text: JSON.stringify(discussions, null, 2) }] };
+    case "get_merge_request_approvals": {
+      const approvalBase = `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}`;
+      const [approvalSummary, approvalState] = await Promise.all([
+        gitlabApi(`${approvalBase}/approvals`),
+        gitlabApi(`${approvalBase}/approval_state`),
+      ]);
+      return {
+        content: [
+          { type: "text", text: JSON.stringify({ approvals: approvalSummary, rules: approvalState?.rules || [] }, null, 2) },
+        ],
+      };
+    }
 
-      case "update_note":
-        const updated = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/notes/${args.note_id}`, {
-          method: "PUT",
-          body: JSON.stringify({ body: args.body }),
-        });
-        return { content: [{ type: "text", text: JSON.stringify(updated, null, 2) }] };
-
-      case "get_merge_request_participants":
-        const participants = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/participants`);
-        return { content: [{ type: "text", text: JSON.stringify(participants, null, 2) }] };
-
-      case "list_merge_request_diffs":
-        const diffs = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/diffs`);
-        return { content: [{ type: "text", text: JSON.stringify(diffs, null, 2) }] };
-
-      case "create_anchored_discussion_auto": {
-        // Helper to parse unified diffs and find the first added new_line
-        function findFirstAddedLine(diffText) {
-          if (!diffText) return null;
-          const lines = diffText.split(/\r?\n/);
-          let currentNew = null;
-          for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            if (line.startsWith('@@')) {
-              // Example: @@ -a,b +c,d @@ or @@ -a +c @@
-              const m = /@@\s-\d+(?:,\d+)?\s\+(\d+)(?:,\d+)?\s@@/.exec(line);
-              if (m) currentNew = parseInt(m[1], 10) - 1; // will increment on context/+ lines
-              continue;
-            }
-            if (currentNew === null) continue;
-            if (line.startsWith('--- ') || line.startsWith('+++ ')) continue; // headers
-            if (line.startsWith('+')) {
-              currentNew += 1;
-              // Skip file header lines like +++ which we filtered; return the first added code line
-              return currentNew;
-            } else if (line.startsWith(' ')) {
-              currentNew += 1; // context advances new line count
-            } else if (line.startsWith('-')) {
-              // removed line: advances old only, not new
-            } else {
-              // unknown; ignore
-            }
-          }
-          return null;
-        }
+    case "approve_merge_request": {
+      if (args.sha) assertCommitSha(args.sha, "sha");
+      const approved = await gitlabApi(
+        `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/approve`,
+        { method: "POST", body: JSON.stringify(args.sha ? { sha: args.sha } : {}) }
+      );
+      return { content: [{ type: "text", text: JSON.stringify(approved, null, 2) }] };
+    }
 
-        function extractKeywords(text) {
-          if (!text) return [];
-          const tokens = new Set();
-          const stopWords = new Set([
-            'issue','problem','suggested','suggestion','before','after','code','update','using','with','this','that','from','into','note','summary','text','line','lines','fix','ensure','should','could','would','might','null','true','false','error','warning','performance','string','method','class','component'
-          ]);
-          const regex = /[A-Za-z_][A-Za-z0-9_.]+/g;
-          let match;
-          while ((match = regex.exec(text)) !== null) {
-            const token = match[0];
-            const normalized = token.replace(/\.+$/, '').toLowerCase();
-            if (normalized.length >= 4 && !stopWords.has(normalized)) {
-              tokens.add(normalized);
-            }
-          }
-          return Array.from(tokens);
-        }
+    case "unapprove_merge_request": {
+      const unapproved = await gitlabApi(
+        `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/unapprove`,
+        { method: "POST" }
+      );
+      return { content: [{ type: "text", text: JSON.stringify(unapproved, null, 2) }] };
+    }
 
-        function findBestMatchingLine(diffText, keywords) {
-          if (!diffText || !keywords || keywords.length === 0) return null;
-          const lines = diffText.split(/\r?\n/);
-          let currentNew = null;
-          let best = { score: 0, line: null };
-          for (let i = 0; i < lines.length; i++) {
-            const raw = lines[i];
-            if (raw.startsWith('@@')) {
-              const m = /@@\s-\d+(?:,\d+)?\s\+(\d+)(?:,\d+)?\s@@/.exec(raw);
-              if (m) currentNew = parseInt(m[1], 10) - 1;
-              continue;
-            }
-            if (currentNew === null) continue;
-            if (raw.startsWith('+')) {
-              currentNew += 1;
-              if (raw.startsWith('+++')) continue;
-              const lower = raw.toLowerCase();
-              let score = 0;
-              for (const k of keywords) {
-                if (lower.includes(k)) score += 1;
-              }
-              if (score > best.score && score > 0) {
-                best = { score, line: currentNew };
-              }
-            } else if (raw.startsWith(' ')) {
-              currentNew += 1;
-            }
-          }
-          return best.line;
-        }
+    case "auto_approve_merge_request": {
+      const approval = await autoApproveMergeRequest(args.project_id, args.merge_request_iid, {
+        dryRun: args.dry_run === true,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(approval, null, 2) }] };
+    }
 
-        try {
-          // Fetch MR for diff_refs
-          const mr = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}`);
-          const refs = mr && mr.diff_refs ? mr.diff_refs : null;
-          if (!refs || !refs.base_sha || !refs.start_sha || !refs.head_sha) {
-            throw new Error('Missing diff_refs for MR; cannot anchor');
-          }
+    // NEW: Discussion/Comment tools handlers
+    case "discussion_add_note":
+      let noteEndpoint;
+      let noteData;
+      
+      if (args.discussion_id) {
+        // Reply to existing discussion
+        noteEndpoint = `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/discussions/${args.discussion_id}/notes`;
+        noteData = { body: args.body };
+      } else {
+        // Create new discussion/comment
+        noteEndpoint = `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/notes`;
+        noteData = { body: args.body };
+      }
+      if (args.reviewed_sha) {
+        assertCommitSha(args.reviewed_sha, "reviewed_sha");
+        noteData.body = withReviewedSha(noteData.body, args.reviewed_sha);
+      }
+      noteData.body = withFindingMetadata(
+        noteData.body,
+        buildFindingMetadata({
+          kind: args.discussion_id ? "reply" : "comment",
+          body: args.body,
+          sha: args.reviewed_sha || null,
+          skill: GITLAB_MCP_SKILL_VERSION,
+        })
+      );
+      
+      const noteResult = await gitlabApi(noteEndpoint, {
+        method: "POST",
+        body: JSON.stringify(noteData),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(noteResult, null, 2) }] };
 
-          // Fetch changes to get per-file unified diffs
-          const changesResp = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/changes`);
-          const changes = (changesResp && changesResp.changes) || [];
-          const targetPath = args.file_path || null;
-          const keywords = extractKeywords(args.body);
-          const targetChanges = targetPath
-            ? changes.filter((ch) => {
-                const newPath = ch.new_path || ch.newFile || ch.new_path;
-                const oldPath = ch.old_path;
-                return newPath === targetPath || oldPath === targetPath;
-              })
-            : changes;
-
-          let position = null;
-          for (const ch of targetChanges) {
-            const diffText = ch.diff || ch.patch || '';
-            let newLine = findBestMatchingLine(diffText, keywords);
-            if (!newLine) {
-              newLine = findFirstAddedLine(diffText);
-            }
-            const newPath = ch.new_path || ch.newFile || ch.new_path; // prefer new_path
-            if (newLine && newPath) {
-              position = {
-                position_type: 'text',
-                base_sha: refs.base_sha,
-                start_sha: refs.start_sha,
-                head_sha: refs.head_sha,
-                new_path: newPath,
-                new_line: newLine,
-              };
-              break;
-            }
-          }
+    case "discussion_list":
+      const discussions = await gitlabList(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/discussions`, args, {
+        allPagesByDefault: true,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(discussions, null, 2) }] };
+
+    case "update_note": {
+      const notePath = `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/notes/${args.note_id}`;
+      const existingNote = await gitlabApi(notePath);
+      const updated = await gitlabApi(notePath, {
+        method: "PUT",
+        body: JSON.stringify({ body: carryFindingMetadata(existingNote?.body, args.body) }),
+        retry: true, // replacing a note body is idempotent
+      });
+      return { content: [{ type: "text", text: JSON.stringify(updated, null, 2) }] };
+    }
+
+    case "get_merge_request_participants":
+      const participants = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/participants`);
+      return { content: [{ type: "text", text: JSON.stringify(participants, null, 2) }] };
+
+    case "list_merge_request_diffs":
+      const diffs = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/diffs`);
+      return { content: [{ type: "text", text: JSON.stringify(diffs, null, 2) }] };
 
-          if (!position) {
-            throw new Error('Could not determine a valid added line to anchor');
+    case "create_anchored_discussion_auto": {
+      assertInlineCommentAllowed(args.body);
+      try {
+        // Fetch MR for diff_refs
+        const mr = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}`);
+        const refs = mr && mr.diff_refs ? mr.diff_refs : null;
+        if (!refs || !refs.base_sha || !refs.start_sha || !refs.head_sha) {
+          throw new Error('Missing diff_refs for MR; cannot anchor');
+        }
+
+        // Fetch changes to get per-file unified diffs
+        const changesResp = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/changes`);
+        const model = buildDiffModel((changesResp && changesResp.changes) || []);
+        const targetPath = args.file_path || null;
+        const keywords = extractKeywords(args.body);
+        const targetFiles = targetPath
+          ? model.filter((file) => file.newPath === targetPath || file.oldPath === targetPath)
+          : model;
+
+        const lineType = args.line_type || null;
+        if (lineType && !Object.values(LINE_TYPES).includes(lineType)) {
+          throw new Error(`Unsupported line_type "${lineType}"; use added, removed or context`);
+        }
+        const requestedLine = args.line !== undefined && args.line !== null ? Number(args.line) : null;
+        const requestedEndLine = args.end_line !== undefined && args.end_line !== null ? Number(args.end_line) : null;
+        if (requestedEndLine !== null && requestedLine === null) {
+          throw new Error('end_line requires line');
+        }
+        const side = lineType === LINE_TYPES.removed ? "old" : "new";
+
+        let position = null;
+        let anchoredFile = null;
+        for (const fileDiff of targetFiles) {
+          const line = selectAnchorLine(fileDiff, { keywords, lineType, line: requestedLine });
+          if (!line) continue;
+          if (requestedEndLine === null) {
+            position = buildDiffPosition(refs, fileDiff, line);
+          } else {
+            const endLine = findDiffLine(fileDiff, requestedEndLine, side);
+            if (!endLine) continue;
+            position = buildRangePosition(refs, fileDiff, line, endLine);
           }
+          anchoredFile = fileDiff;
+          break;
+        }
 
-          const payload = { body: args.body, position };
-          const reuseCandidate = await findReusableNote(
-            args.project_id,
-            args.merge_request_iid,
-            position,
-            args.body
+        if (!position) {
+          const lines = requestedEndLine !== null ? `Lines ${requestedLine}-${requestedEndLine} are` : `Line ${requestedLine} is`;
+          throw new Error(
+            requestedLine !== null
+              ? `${lines} not part of the diff${lineType ? ` as a ${lineType} line` : ""}`
+              : 'Could not determine a diff line to anchor'
           );
+        }
+
+        const validatedBody = await validateSuggestions(
+          args.project_id,
+          applySuggestionRange(args.body, position),
+          position,
+          anchoredFile
+        );
+        const anchor = await computePositionAnchor(args.project_id, position);
+        const body = withFindingMetadata(
+          validatedBody,
+          findingMetadataFor(validatedBody, position, { rule: args.rule_id, anchor })
+        );
+        const payload = { body, position };
+        const reuseCandidate = await findReusableNote(
+          args.project_id,
+          args.merge_request_iid,
+          position,
+          body,
+          model
+        );
+
+        if (reuseCandidate?.ignored) {
+          log("info", "Ignored discussion detected; skipping comment update/creation", {
+            discussionId: reuseCandidate.discussionId,
+          });
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(
+                  {
+                    action: 'skip_ignored',
+                    discussion_id: reuseCandidate.discussionId,
+                  },
+                  null,
+                  2
+                ),
+              },
+            ],
+          };
+        }
 
-          if (reuseCandidate?.ignored) {
-            log("info", "Ignored discussion detected; skipping comment update/creation", {
+        if (reuseCandidate) {
+          try {
+            const updated = await gitlabApi(
+              `/projects/${encodeURIComponent(
+                args.project_id
+              )}/merge_requests/${encodeURIComponent(
+                args.merge_request_iid
+              )}/notes/${reuseCandidate.noteId}`,
+              {
+                method: 'PUT',
+                body: JSON.stringify({ body }),
+                retry: true,
+              }
+            );
+            log("info", "Updated existing discussion via update_note", {
               discussionId: reuseCandidate.discussionId,
+              noteId: reuseCandidate.noteId,
             });
             return {
               content: [
@@ -1022,8 +3661,9 @@ async function executeTool(name, args) {
                   type: 'text',
                   text: JSON.stringify(
                     {
-                      action: 'skip_ignored',
+                      action: 'update_note',
                       discussion_id: reuseCandidate.discussionId,
+                      note: updated,
                     },
                     null,
                     2
@@ -1031,81 +3671,170 @@ async function executeTool(name, args) {
                 },
               ],
             };
+          } catch (updateError) {
+            log("warn", "Failed to update existing note; falling back to new discussion", {
+              discussionId: reuseCandidate.discussionId,
+              noteId: reuseCandidate.noteId,
+              message: updateError.message,
+            });
           }
-
-          if (reuseCandidate) {
-            try {
-              const updated = await gitlabApi(
-                `/projects/${encodeURIComponent(
-                  args.project_id
-                )}/merge_requests/${encodeURIComponent(
-                  args.merge_request_iid
-                )}/notes/${reuseCandidate.noteId}`,
-                {
-                  method: 'PUT',
-                  body: JSON.stringify({ body: args.body }),
-                }
-              );
-              log("info", "Updated existing discussion via update_note", {
-                discussionId: reuseCandidate.discussionId,
-                noteId: reuseCandidate.noteId,
-              });
-              return {
-                content: [
-                  {
-                    type: 'text',
-                    text: JSON.stringify(
-                      {
-                        action: 'update_note',
-                        discussion_id: reuseCandidate.discussionId,
-                        note: updated,
-                      },
-                      null,
-                      2
-                    ),
-                  },
-                ],
-              };
-            } catch (updateError) {
-              log("warn", "Failed to update existing note; falling back to new discussion", {
-                discussionId: reuseCandidate.discussionId,
-                noteId: reuseCandidate.noteId,
-                message: updateError.message,
-              });
-            }
-          }
-
-          const created = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/discussions`, {
-            method: 'POST',
-            body: JSON.stringify(payload),
-          });
-          return { content: [{ type: 'text', text: JSON.stringify(created, null, 2) }] };
-        } catch (e) {
-          // Fallback to top-level note
-          const noteBody = `${args.body}\n\n_(Auto-anchoring unavailable: ${e.message})_`;
-          const note = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/notes`, {
-            method: 'POST',
-            body: JSON.stringify({ body: noteBody }),
-          });
-          return { content: [{ type: 'text', text: JSON.stringify(note, null, 2) }] };
         }
+
+        const created = await createReviewComment(args.project_id, args.merge_request_iid, payload.body, payload.position, model);
+        recordInlineComment(created);
+        return { content: [{ type: 'text', text: JSON.stringify(created, null, 2) }] };
+      } catch (e) {
+        // Fallback to top-level note
+        const noteBody = withFindingMetadata(
+          `${args.body}\n\n_(Auto-anchoring unavailable: ${e.message})_`,
+          findingMetadataFor(args.body, null, { rule: args.rule_id, file: args.file_path })
+        );
+        const note = await createReviewComment(args.project_id, args.merge_request_iid, noteBody);
+        recordInlineComment(note);
+        return { content: [{ type: 'text', text: JSON.stringify(note, null, 2) }] };
       }
+    }
 
-      case "create_mr_discussion_with_position": {
-        const payload = {
-          body: args.body,
-          position: args.position,
-        };
-        const created = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/discussions`, {
-          method: "POST",
-          body: JSON.stringify(payload),
+    case "create_mr_discussion_with_position": {
+      assertInlineCommentAllowed(args.body);
+      let position = args.position;
+      let model = null;
+      try {
+        const changesResp = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/changes`);
+        model = buildDiffModel((changesResp && changesResp.changes) || []);
+        position = completeDiffPosition(position, model);
+      } catch (error) {
+        log("warn", "Unable to load MR changes to complete the position; using it as provided", {
+          message: error.message,
         });
-        return { content: [{ type: "text", text: JSON.stringify(created, null, 2) }] };
       }
+      const validatedBody = await validateSuggestions(
+        args.project_id,
+        applySuggestionRange(args.body, position),
+        position,
+        findFileDiff(model, position?.new_path || position?.old_path)
+      );
+      const anchor = await computePositionAnchor(args.project_id, position);
+      const payload = {
+        body: withFindingMetadata(validatedBody, findingMetadataFor(validatedBody, position, { rule: args.rule_id, anchor })),
+        position,
+      };
+      const created = await createReviewComment(args.project_id, args.merge_request_iid, payload.body, payload.position, model);
+      recordInlineComment(created);
+      return { content: [{ type: "text", text: JSON.stringify(created, null, 2) }] };
+    }
+
+    case "resolve_discussion":
+    case "unresolve_discussion": {
+      const discussion = await setDiscussionResolved(
+        args.project_id,
+        args.merge_request_iid,
+        args.discussion_id,
+        name === "resolve_discussion"
+      );
+      return { content: [{ type: "text", text: JSON.stringify(discussion, null, 2) }] };
+    }
+
+    case "reconcile_bot_discussions": {
+      const report = await reconcileBotDiscussions(args.project_id, args.merge_request_iid, {
+        dryRun: args.dry_run === true,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(report, null, 2) }] };
+    }
+
+    case "list_draft_notes": {
+      const drafts = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/draft_notes`);
+      return { content: [{ type: "text", text: JSON.stringify(drafts, null, 2) }] };
+    }
+
+    case "create_draft_note": {
+      // A positioned draft is an inline finding once published, so it spends the same budget
+      if (args.position) assertInlineCommentAllowed(args.note);
+      const draftData = { note: args.note };
+      if (args.reviewed_sha) {
+        assertCommitSha(args.reviewed_sha, "reviewed_sha");
+        draftData.note = withReviewedSha(draftData.note, args.reviewed_sha);
+      }
+      const anchor = args.position ? await computePositionAnchor(args.project_id, args.position) : null;
+      draftData.note = withFindingMetadata(
+        draftData.note,
+        args.position
+          ? findingMetadataFor(args.note, args.position, { rule: args.rule_id, anchor, sha: args.reviewed_sha || null })
+          : buildFindingMetadata({
+              kind: args.in_reply_to_discussion_id ? "reply" : "comment",
+              body: args.note,
+              sha: args.reviewed_sha || null,
+              skill: GITLAB_MCP_SKILL_VERSION,
+            })
+      );
+      if (args.position) draftData.position = args.position;
+      if (args.in_reply_to_discussion_id) draftData.in_reply_to_discussion_id = args.in_reply_to_discussion_id;
+      if (args.resolve_discussion !== undefined) draftData.resolve_discussion = args.resolve_discussion;
+      const draft = await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/draft_notes`, {
+        method: "POST",
+        body: JSON.stringify(draftData),
+      });
+      if (args.position) recordInlineComment(draft);
+      return { content: [{ type: "text", text: JSON.stringify(draft, null, 2) }] };
+    }
+
+    case "update_draft_note": {
+      const draftEndpoint = `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/draft_notes/${args.draft_note_id}`;
+      const draftUpdate = {};
+      if (args.note !== undefined) {
+        const existingDraft = await gitlabApi(draftEndpoint);
+        draftUpdate.note = carryFindingMetadata(existingDraft?.note, args.note);
+      }
+      if (args.position) draftUpdate.position = args.position;
+      const draft = await gitlabApi(draftEndpoint, {
+        method: "PUT",
+        body: JSON.stringify(draftUpdate),
+        retry: true,
+      });
+      return { content: [{ type: "text", text: JSON.stringify(draft, null, 2) }] };
+    }
+
+    case "delete_draft_note": {
+      await gitlabApi(`/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/draft_notes/${args.draft_note_id}`, {
+        method: "DELETE",
+      });
+      return { content: [{ type: "text", text: JSON.stringify({ deleted: true, draft_note_id: args.draft_note_id }, null, 2) }] };
+    }
 
-      default:
-        throw new Error(`Unknown tool: ${name}`);
+    case "publish_draft_notes": {
+      const draftsEndpoint = `/projects/${encodeURIComponent(args.project_id)}/merge_requests/${args.merge_request_iid}/draft_notes`;
+      const folded = await foldSummaryDraft(args.project_id, args.merge_request_iid, args.draft_note_id || null);
+      if (!(args.draft_note_id && folded)) {
+        // bulk_publish posts every pending draft at once, so the author gets a single notification
+        await gitlabApi(
+          args.draft_note_id ? `${draftsEndpoint}/${args.draft_note_id}/publish` : `${draftsEndpoint}/bulk_publish`,
+          { method: args.draft_note_id ? "PUT" : "POST" }
+        );
+      }
+      const published = { published: args.draft_note_id ? [args.draft_note_id] : "all" };
+      if (folded) published.summary_note_id = folded.note_id;
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(published, null, 2),
+          },
+        ],
+      };
     }
+
+    default:
+      throw new Error(`Unknown tool: ${name}`);
+  }
+}
+
+// Error text plus, for GitLab failures, a machine-readable record the agent can branch on
+function buildErrorContent(error) {
+  const content = [{ type: "text", text: `Error: ${error.message}` }];
+  if (error instanceof GitLabApiError || error instanceof ToolPolicyError || error instanceof InlineBudgetError) {
+    content.push({ type: "text", text: JSON.stringify({ error: error.toJSON() }, null, 2) });
+  }
+  return content;
 }
 
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
@@ -1119,10 +3848,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   } catch (error) {
     logToolError(name, error);
     return {
-      content: [{
-        type: "text",
-        text: `Error: ${error.message}`
-      }],
+      content: buildErrorContent(error),
       isError: true,
     };
   }
@@ -1132,6 +3858,27 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
+  log("info", "Tool policy active", {
+    preset: TOOL_POLICY.preset,
+    denied: Array.from(TOOL_POLICY.denied),
+  });
+  if (GITLAB_MCP_FIXTURES) {
+    log("info", `Fixture ${GITLAB_MCP_FIXTURES} mode enabled`, { file: GITLAB_MCP_FIXTURES_FILE });
+  }
+  if (GITLAB_MCP_DRY_RUN) {
+    log("info", "Dry-run mode enabled; mutations are written to the plan file", {
+      planFile: GITLAB_MCP_PLAN_FILE,
+    });
+  }
+  if (GITLAB_MCP_REVIEW_MODE === "draft") {
+    log("info", "Draft review mode enabled; inline comments are staged as draft notes");
+  }
+  if (GITLAB_MCP_INLINE_BUDGET > 0 || GITLAB_MCP_MIN_SEVERITY) {
+    log("info", "Inline comment limits active", {
+      budget: GITLAB_MCP_INLINE_BUDGET || null,
+      minSeverity: GITLAB_MCP_MIN_SEVERITY ? GITLAB_MCP_MIN_SEVERITY.id : null,
+    });
+  }
   console.error("Enhanced GitLab MCP server running on stdio");
 }
 
@@ -1146,8 +3893,54 @@ module.exports = {
   server,
   executeTool,
   normalizeIssueSignature,
+  sameFinding,
   positionsMatch,
+  samePathOrRenamed,
+  anchoredAtSameCode,
   findReusableNote,
   selectReusableNote,
+  selectReusableDraft,
+  isDiscussionStartedBy,
+  findSeverityLevel,
+  globToRegExp,
+  applyDraftState,
+  evaluateAutoApproval,
+  assertInlineCommentAllowed,
+  InlineBudgetError,
+  findingAnchor,
+  parseReviewedSha,
+  withReviewedSha,
+  parseSummaryNote,
+  collectBotFindings,
+  carryFindingMetadata,
+  buildSummaryBody,
+  planSummaryUpsert,
+  classifyFinding,
+  summarizeBlame,
+  formatFileContents,
+  buildCommitActions,
   ignoredDiscussionSet,
+  parseLinkHeader,
+  resolveNextPageUrl,
+  computeRetryDelay,
+  isRetryableStatus,
+  GitLabApiError,
+  categorizeGitlabStatus,
+  redactEndpoint,
+  buildErrorContent,
+  extractKeywords,
+  findBestMatchingLine,
+  selectAnchorLine,
+  completeDiffPosition,
+  applySuggestionRange,
+  parseSuggestionBlocks,
+  reviewSuggestions,
+  TOOL_DEFINITIONS,
+  POLICY_PRESETS,
+  ToolPolicyError,
+  resolveToolPolicy,
+  isToolAllowed,
+  buildDryRunResponse,
+  scrubFixtureValue,
+  replayedRequests,
 };
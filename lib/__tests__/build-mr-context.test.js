@@ -87,6 +87,36 @@ test("summarizeDiscussions returns formatted context and ignore list", () => {
   );
 });
 
+test("summarizeDiscussions keeps ignore markers beyond the summarized discussions", () => {
+  const discussions = Array.from({ length: 30 }, (_, index) => ({
+    id: `discussion-${index + 1}`,
+    resolved: false,
+    notes: [
+      {
+        id: index + 1,
+        body: index === 27 ? "/gemini ignore please" : "Finding",
+        system: false,
+        author: { username: "gemini-bot", bot: true },
+      },
+    ],
+  }));
+
+  const { context, ignored } = summarizeDiscussions(discussions);
+
+  assert.deepEqual(ignored, ["discussion-28"]);
+  assert.ok(!context.includes("discussion-28"), "Only the first discussions are summarized");
+});
+
+test("summarizeDiscussions marks the context when discussion pages were left unread", () => {
+  const discussions = [{ id: "discussion-1", notes: [{ id: 1, body: "Finding", author: { username: "dev" } }] }];
+
+  assert.ok(!summarizeDiscussions(discussions).context.includes("pages of discussions"));
+  assert.match(
+    summarizeDiscussions(discussions, { truncated: true }).context,
+    /Only the first 20 pages of discussions were loaded/
+  );
+});
+
 test("buildPreview truncates long notes and escapes markdown", () => {
   const longBody = "Code uses _markdown_ characters `like this`".repeat(10);
   const preview = buildPreview(longBody);
@@ -96,12 +126,43 @@ test("buildPreview truncates long notes and escapes markdown", () => {
   assert.ok(preview.includes("\\`"), "Backticks should be escaped");
 });
 
+test("summarizeDiscussions flags bot findings from their hidden metadata", () => {
+  const discussions = [
+    {
+      id: "discussion-3",
+      resolved: false,
+      notes: [
+        {
+          id: 301,
+          body:
+            '🟠 Null check removed\n\n<!-- gemini:{"v":1,"kind":"finding","fingerprint":"0123456789abcdef","severity":"high","rule":"null-guard","file":"Player.cs","line":12} -->',
+          system: false,
+          position: { new_path: "Player.cs", new_line: 12 },
+          author: { username: "gemini-bot", bot: true },
+        },
+      ],
+    },
+  ];
+
+  const { context } = summarizeDiscussions(discussions);
+
+  assert.match(
+    context,
+    /\(Player\.cs:12, unresolved, bot, severity: high, rule: null-guard, fingerprint: 0123456789abcdef\)/
+  );
+  assert.ok(!context.includes("gemini:"), "Metadata should not leak into the preview");
+});
+
 test("buildLocation formats diff positions", () => {
   assert.strictEqual(
     buildLocation({ new_path: "file.js", new_line: 99 }),
     "file.js:99"
   );
   assert.strictEqual(buildLocation({ old_path: "file.js" }), "file.js");
+  assert.strictEqual(
+    buildLocation({ old_path: "file.js", new_path: "file.js", old_line: 12 }),
+    "file.js:12 (removed line)"
+  );
   assert.strictEqual(buildLocation(null), "General");
 });
 
@@ -0,0 +1,35 @@
+const path = require("node:path");
+
+// Settings that change server behaviour; cleared so only the caller's overrides apply
+const RESET_ENV = [
+  "GITLAB_MCP_DRY_RUN",
+  "GITLAB_MCP_POLICY_FILE",
+  "GITLAB_MCP_ALLOWED_TOOLS",
+  "GITLAB_MCP_DENIED_TOOLS",
+  "GITLAB_MCP_REVIEW_MODE",
+  "GITLAB_MCP_INLINE_BUDGET",
+  "GITLAB_MCP_MIN_SEVERITY",
+  "GITLAB_MCP_AUTO_APPROVE",
+  "GITLAB_MCP_AUTO_APPROVE_PATHS",
+  "GITLAB_MCP_AUTO_APPROVE_SEVERITY",
+  "IGNORED_DISCUSSIONS",
+];
+
+// The server reads its configuration once at load time, so the environment has to be in
+// place before the first require. Loads it against the anchored-discussion replay fixture
+// with the `full` policy, since the tests exercise every tool.
+function loadReplayServer(overrides = {}) {
+  for (const name of RESET_ENV) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, {
+    GITLAB_MCP_FIXTURES: "replay",
+    GITLAB_MCP_FIXTURES_FILE: path.join(__dirname, "anchored-discussion.jsonl"),
+    GITLAB_MCP_LOG_LEVEL: "error",
+    GITLAB_MCP_POLICY: "full",
+    ...overrides,
+  });
+  return require("../../../gitlab-mcp-server.js");
+}
+
+module.exports = { loadReplayServer };
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+
+// Three pages of two discussions each
+function startServer() {
+  const requested = [];
+  const server = http.createServer((request, response) => {
+    requested.push(request.url);
+    const page = Number(new URL(request.url, "http://localhost").searchParams.get("page"));
+    response.setHeader("content-type", "application/json");
+    if (page < 3) response.setHeader("x-next-page", String(page + 1));
+    response.end(JSON.stringify([{ id: `d-${page}a` }, { id: `d-${page}b` }]));
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve({ server, requested })));
+}
+
+test("gitlabRequestAllPages stops at GITLAB_MAX_PAGES and reports the unread pages", async (t) => {
+  const { server, requested } = await startServer();
+  t.after(() => server.close());
+
+  delete process.env.CI_API_V4_URL;
+  process.env.GITLAB_API_URL = `http://127.0.0.1:${server.address().port}/api/v4`;
+  process.env.GITLAB_MAX_PAGES = "2";
+  const { MAX_PAGES, gitlabRequestAllPages } = require("../gitlab-client.js");
+  assert.strictEqual(MAX_PAGES, 2);
+
+  const capped = await gitlabRequestAllPages("/projects/1/merge_requests/7/discussions?per_page=100");
+  assert.deepEqual(capped.items.map((item) => item.id), ["d-1a", "d-1b", "d-2a", "d-2b"]);
+  assert.strictEqual(capped.truncated, true);
+  assert.deepEqual(requested, [
+    "/api/v4/projects/1/merge_requests/7/discussions?per_page=100&page=1",
+    "/api/v4/projects/1/merge_requests/7/discussions?per_page=100&page=2",
+  ]);
+
+  const complete = await gitlabRequestAllPages("/projects/1/merge_requests/7/discussions?per_page=100", { maxPages: 5 });
+  assert.strictEqual(complete.items.length, 6);
+  assert.strictEqual(complete.truncated, false);
+});
+
+test("template client matches canonical implementation", () => {
+  const canonical = fs.readFileSync(path.join(__dirname, "..", "gitlab-client.js"), "utf-8");
+  const template = fs.readFileSync(path.join(__dirname, "..", "templates", ".gitlab", "gitlab-client.js"), "utf-8");
+
+  assert.strictEqual(template, canonical);
+});
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const diffModel = require("../../gitlab-diff-model.js");
+
+const SAMPLE_DIFF = [
+  "@@ -1,4 +1,4 @@ class Player",
+  " using UnityEngine;",
+  "-if (target == null) return;",
+  "+var cached = target;",
+  " Move();",
+  "--- not a file header",
+  "@@ -20,2 +20,3 @@",
+  " End();",
+  "+Log();",
+  " }",
+  "\\ No newline at end of file",
+  "",
+].join("\n");
+
+test("parseUnifiedDiff numbers old and new sides per line", () => {
+  const hunks = diffModel.parseUnifiedDiff(SAMPLE_DIFF);
+  assert.strictEqual(hunks.length, 2);
+
+  const [first, second] = hunks;
+  assert.deepEqual(
+    first.lines.map((line) => [line.type, line.oldLine, line.newLine]),
+    [
+      ["context", 1, 1],
+      ["removed", 2, null],
+      ["added", null, 2],
+      ["context", 3, 3],
+      ["removed", 4, null],
+    ]
+  );
+  assert.strictEqual(first.lines[4].content, "-- not a file header", "Removed lines starting with -- are content");
+
+  assert.deepEqual(
+    second.lines.map((line) => [line.type, line.oldLine, line.newLine]),
+    [
+      ["context", 20, 20],
+      ["added", null, 21],
+      ["context", 21, 22],
+    ]
+  );
+  assert.ok(second.lines[2].noNewlineAtEof);
+});
+
+test("buildFileDiff flags binary and renamed changes", () => {
+  const binary = diffModel.buildFileDiff({
+    old_path: "Assets/icon.png",
+    new_path: "Assets/icon.png",
+    diff: "Binary files a/Assets/icon.png and b/Assets/icon.png differ\n",
+  });
+  assert.ok(binary.binary);
+  assert.strictEqual(binary.lines.length, 0);
+
+  const renamed = diffModel.buildFileDiff({
+    old_path: "Old.cs",
+    new_path: "New.cs",
+    renamed_file: true,
+    diff: "",
+  });
+  assert.ok(renamed.renamedFile);
+  assert.strictEqual(renamed.oldPath, "Old.cs");
+  assert.strictEqual(renamed.newPath, "New.cs");
+});
+
+test("locateDiffLine answers which side a line belongs to", () => {
+  const model = diffModel.buildDiffModel([{ old_path: "Player.cs", new_path: "Player.cs", diff: SAMPLE_DIFF }]);
+
+  assert.strictEqual(diffModel.locateDiffLine(model, "Player.cs", 2, "new").line.type, "added");
+  assert.strictEqual(diffModel.locateDiffLine(model, "Player.cs", 2, "old").line.type, "removed");
+  assert.strictEqual(diffModel.locateDiffLine(model, "Player.cs", 22, "new").line.oldLine, 21);
+  assert.strictEqual(diffModel.locateDiffLine(model, "Player.cs", 10, "new"), null);
+  assert.strictEqual(diffModel.locateDiffLine(model, "Other.cs", 2, "new"), null);
+});
+
+test("buildDiffPosition uses the side GitLab expects for each line type", () => {
+  const refs = { base_sha: "b", start_sha: "s", head_sha: "h" };
+  const file = diffModel.buildFileDiff({ old_path: "Player.cs", new_path: "Player.cs", diff: SAMPLE_DIFF });
+  const [context, removed, added] = file.hunks[0].lines;
+
+  const addedPosition = diffModel.buildDiffPosition(refs, file, added);
+  assert.strictEqual(addedPosition.new_line, 2);
+  assert.ok(!("old_line" in addedPosition));
+
+  const removedPosition = diffModel.buildDiffPosition(refs, file, removed);
+  assert.strictEqual(removedPosition.old_line, 2);
+  assert.ok(!("new_line" in removedPosition));
+
+  const contextPosition = diffModel.buildDiffPosition(refs, file, context);
+  assert.strictEqual(contextPosition.old_line, 1);
+  assert.strictEqual(contextPosition.new_line, 1);
+});
+
+test("lineCode follows GitLab's path hash and old/new counters", () => {
+  const file = diffModel.buildFileDiff({ old_path: "Player.cs", new_path: "Player.cs", diff: SAMPLE_DIFF });
+  const [context, removed, added] = file.hunks[0].lines;
+  const hash = crypto.createHash("sha1").update("Player.cs").digest("hex");
+
+  assert.strictEqual(diffModel.lineCode("Player.cs", context), `${hash}_1_1`);
+  assert.strictEqual(diffModel.lineCode("Player.cs", removed), `${hash}_2_2`);
+  assert.strictEqual(diffModel.lineCode("Player.cs", added), `${hash}_3_2`, "Added lines carry the next old counter");
+});
+
+test("buildRangePosition anchors on the last line and describes the range", () => {
+  const refs = { base_sha: "b", start_sha: "s", head_sha: "h" };
+  const file = diffModel.buildFileDiff({ old_path: "Player.cs", new_path: "Player.cs", diff: SAMPLE_DIFF });
+  const [context, , added, trailing] = file.hunks[0].lines;
+
+  const position = diffModel.buildRangePosition(refs, file, trailing, context);
+  assert.deepEqual([position.old_line, position.new_line], [3, 3], "Endpoints are ordered by diff position");
+  assert.deepEqual(
+    [position.line_range.start.type, position.line_range.start.new_line],
+    ["old", 1]
+  );
+  assert.strictEqual(position.line_range.end.line_code, diffModel.lineCode("Player.cs", trailing));
+  assert.strictEqual(diffModel.buildRangePosition(refs, file, added, added).line_range, undefined);
+});
+
+test("template diff model matches canonical implementation", () => {
+  const canonical = fs.readFileSync(path.join(__dirname, "..", "..", "gitlab-diff-model.js"), "utf-8");
+  const template = fs.readFileSync(path.join(__dirname, "..", "templates", "gitlab-diff-model.js"), "utf-8");
+
+  assert.strictEqual(template, canonical);
+});
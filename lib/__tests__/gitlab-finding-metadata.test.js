@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const metadata = require("../../gitlab-finding-metadata.js");
+
+const FINDING = "🟠 **High** – Null check removed\n\nRestore the guard before `Move()`.";
+
+test("parseSeverity reads the emoji prefix on the first line", () => {
+  assert.strictEqual(metadata.parseSeverity(FINDING), "high");
+  assert.strictEqual(metadata.parseSeverity("\n🔴 Critical: leak"), "critical");
+  assert.strictEqual(metadata.parseSeverity("Plain remark\n🔴 later"), null);
+  assert.strictEqual(metadata.parseSeverity(null), null);
+});
+
+test("computeFingerprint keys off file and rule, ignoring wording when a rule is set", () => {
+  const byRule = metadata.computeFingerprint({ file: "Player.cs", rule: "null-guard", body: FINDING });
+  assert.match(byRule, /^[0-9a-f]{16}$/);
+  assert.strictEqual(
+    metadata.computeFingerprint({ file: "Player.cs", rule: "null-guard", body: "🟡 Reworded" }),
+    byRule
+  );
+  assert.notStrictEqual(metadata.computeFingerprint({ file: "Enemy.cs", rule: "null-guard" }), byRule);
+
+  const byTitle = metadata.computeFingerprint({ file: "Player.cs", body: FINDING });
+  assert.strictEqual(
+    metadata.computeFingerprint({ file: "Player.cs", body: "🟠  **HIGH** – Null check removed\n\nOther details" }),
+    byTitle
+  );
+});
+
+test("metadata round-trips through a comment body", () => {
+  const record = metadata.buildFindingMetadata({
+    body: FINDING,
+    file: "Player.cs",
+    line: 12,
+    anchor: "feedfacecafebeef",
+    rule: "null-guard",
+    sha: "2".repeat(40),
+    skill: "1.1.0",
+  });
+  assert.deepStrictEqual(record, {
+    v: metadata.METADATA_VERSION,
+    kind: "finding",
+    fingerprint: metadata.computeFingerprint({ file: "Player.cs", rule: "null-guard" }),
+    severity: "high",
+    rule: "null-guard",
+    file: "Player.cs",
+    line: 12,
+    anchor: "feedfacecafebeef",
+    sha: "2".repeat(40),
+    skill: "1.1.0",
+  });
+
+  const body = metadata.withFindingMetadata(FINDING, record);
+  assert.ok(body.startsWith(FINDING));
+  assert.deepStrictEqual(metadata.parseFindingMetadata(body), record);
+  assert.strictEqual(metadata.stripFindingMetadata(body), FINDING);
+
+  const replaced = metadata.withFindingMetadata(body, { ...record, line: 14 });
+  assert.strictEqual(replaced.match(/<!-- gemini:/g).length, 1);
+  assert.strictEqual(metadata.parseFindingMetadata(replaced).line, 14);
+});
+
+test("computeAnchorFingerprint follows code that moved or was re-indented", () => {
+  const original = ["class Player", "{", "    void Update()", "    {", "        Scan();", "    }", "}"];
+  const shifted = ["using System;", "", "class Player", "{", "", "  void Update()", "  {", "      Scan();", "  }", "}"];
+  const fingerprint = metadata.computeAnchorFingerprint(original, 5);
+
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+  assert.strictEqual(metadata.computeAnchorFingerprint(shifted, 8), fingerprint);
+  assert.notStrictEqual(metadata.computeAnchorFingerprint(original, 3), fingerprint);
+
+  const edited = [...original];
+  edited[3] = "    { // cached";
+  assert.notStrictEqual(metadata.computeAnchorFingerprint(edited, 5), fingerprint);
+  assert.strictEqual(metadata.computeAnchorFingerprint(original, 8), null);
+  assert.strictEqual(metadata.computeAnchorFingerprint(null, 1), null);
+});
+
+test("metadata cannot close its HTML comment early", () => {
+  const body = metadata.withFindingMetadata("Note", { v: 1, kind: "finding", rule: "a-->b" });
+
+  assert.strictEqual(body.indexOf("-->"), body.length - 3);
+  assert.strictEqual(metadata.parseFindingMetadata(body).rule, "a-->b");
+  assert.strictEqual(metadata.parseFindingMetadata("<!-- gemini:{broken -->"), null);
+  assert.strictEqual(metadata.parseFindingMetadata("No metadata"), null);
+});
+
+test("evaluateSeverityGate counts unresolved bot findings and skips waived threads", () => {
+  const bot = { id: 42 };
+  const finding = (id, body, extra = {}) => ({
+    id,
+    notes: [
+      {
+        id: `${id}-note`,
+        body,
+        resolvable: true,
+        resolved: false,
+        author: bot,
+        position: { new_path: "Player.cs", new_line: 3 },
+        ...extra,
+      },
+    ],
+  });
+  const discussions = [
+    finding("critical", "🔴 Leak"),
+    finding("high", metadata.withFindingMetadata("🟠 Alloc", { kind: "finding", severity: "high", file: "Enemy.cs", line: 9 })),
+    finding("resolved", "🔴 Fixed", { resolved: true }),
+    finding("human", "🔴 Human", { author: { id: 7 } }),
+    finding("summary", metadata.withFindingMetadata("🔴 Summary", { kind: "summary" })),
+    { ...finding("waived", "🔴 Accepted"), notes: [...finding("waived", "🔴 Accepted").notes, { id: 2, body: "@gemini ignore", author: { id: 7 } }] },
+    finding("env-waived", "🔴 Known"),
+  ];
+
+  const gate = metadata.evaluateSeverityGate(discussions, bot, { ignoredIds: ["env-waived"] });
+  assert.strictEqual(gate.passed, false);
+  assert.deepStrictEqual(gate.blocking, [
+    { discussion_id: "critical", note_id: "critical-note", severity: "critical", file: "Player.cs", line: 3, title: "🔴 leak" },
+  ]);
+  assert.deepStrictEqual(gate.ignored, ["waived", "env-waived"]);
+  assert.deepStrictEqual(gate.counts, { critical: 1, high: 1, medium: 0, low: 0 });
+
+  const lenient = metadata.evaluateSeverityGate(discussions, bot, {
+    threshold: "high",
+    maxFindings: 2,
+    ignoredIds: ["env-waived"],
+  });
+  assert.strictEqual(lenient.passed, true);
+  assert.deepStrictEqual(lenient.blocking.map((entry) => [entry.discussion_id, entry.file, entry.line]), [
+    ["critical", "Player.cs", 3],
+    ["high", "Enemy.cs", 9],
+  ]);
+  assert.throws(() => metadata.evaluateSeverityGate(discussions, bot, { threshold: "blocker" }), /Unknown severity threshold/);
+});
+
+test("template finding metadata matches canonical implementation", () => {
+  const canonical = fs.readFileSync(path.join(__dirname, "..", "..", "gitlab-finding-metadata.js"), "utf-8");
+  const template = fs.readFileSync(path.join(__dirname, "..", "templates", "gitlab-finding-metadata.js"), "utf-8");
+
+  assert.strictEqual(template, canonical);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadReplayServer } = require("./fixtures/replay-server.js");
+
+// d-old-rewritten (the fixture's only open 🔴 finding) is waived so the MR qualifies
+const runtimeServer = loadReplayServer({
+  GITLAB_MCP_AUTO_APPROVE: "true",
+  GITLAB_MCP_AUTO_APPROVE_PATHS: "docs/**, Assets/Scripts/**",
+  GITLAB_MCP_AUTO_APPROVE_SEVERITY: "high",
+  IGNORED_DISCUSSIONS: JSON.stringify(["d-old-rewritten"]),
+});
+
+function approvalRequests() {
+  return runtimeServer.replayedRequests.filter((request) => /\/(un)?approve$/.test(request.endpoint));
+}
+
+test("get_merge_request_approvals returns the approval state with its rules", async () => {
+  const result = await runtimeServer.executeTool("get_merge_request_approvals", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+  });
+  const payload = JSON.parse(result.content[0].text);
+
+  assert.strictEqual(payload.approvals.approvals_left, 1);
+  assert.deepEqual(payload.rules.map((rule) => rule.name), ["Maintainers"]);
+});
+
+test("auto_approve_merge_request dry run reports the decision without approving", async () => {
+  const result = await runtimeServer.executeTool("auto_approve_merge_request", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    dry_run: true,
+  });
+  const decision = JSON.parse(result.content[0].text);
+
+  assert.strictEqual(decision.eligible, true);
+  assert.strictEqual(decision.action, "approve");
+  assert.strictEqual(decision.threshold, "high");
+  assert.strictEqual(approvalRequests().length, 0);
+});
+
+test("auto_approve_merge_request approves the reviewed head when the MR qualifies", async () => {
+  await runtimeServer.executeTool("auto_approve_merge_request", { project_id: "group/game", merge_request_iid: "7" });
+
+  const [approve] = approvalRequests();
+  assert.strictEqual(approve.endpoint, "/projects/group%2Fgame/merge_requests/7/approve");
+  assert.deepEqual(approve.body, { sha: "2222222222222222222222222222222222222222" });
+});
+
+test("approve_merge_request validates the pinned SHA", async () => {
+  await assert.rejects(
+    runtimeServer.executeTool("approve_merge_request", { project_id: "group/game", merge_request_iid: "7", sha: "HEAD" }),
+    /sha must be a commit SHA/
+  );
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadReplayServer } = require("./fixtures/replay-server.js");
+
+const runtimeServer = loadReplayServer({ GITLAB_MCP_INLINE_BUDGET: "1", GITLAB_MCP_MIN_SEVERITY: "medium" });
+
+const FINDING_ARGS = {
+  project_id: "group/game",
+  merge_request_iid: "7",
+  file_path: "Assets/Scripts/Player.cs",
+};
+
+function postedDiscussions() {
+  return runtimeServer.replayedRequests.filter(
+    (request) => request.method === "POST" && request.endpoint.endsWith("/discussions")
+  );
+}
+
+test("findings below the severity floor are rejected before any request", async () => {
+  await assert.rejects(
+    runtimeServer.executeTool("create_anchored_discussion_auto", { ...FINDING_ARGS, body: "🟢 Дрібниця в коментарі" }),
+    (error) => {
+      assert.ok(error instanceof runtimeServer.InlineBudgetError);
+      assert.deepEqual(error.toJSON(), {
+        category: "budget",
+        reason: "below_min_severity",
+        severity: "low",
+        min_severity: "medium",
+      });
+      assert.match(error.message, /summary note/);
+      return true;
+    }
+  );
+  assert.strictEqual(runtimeServer.replayedRequests.length, 0);
+});
+
+test("the inline budget stops further findings once it is spent", async () => {
+  await runtimeServer.executeTool("create_anchored_discussion_auto", {
+    ...FINDING_ARGS,
+    body: "🟡 Поле speed ніде не ініціалізується",
+  });
+  assert.strictEqual(postedDiscussions().length, 1);
+
+  await assert.rejects(
+    runtimeServer.executeTool("create_mr_discussion_with_position", {
+      ...FINDING_ARGS,
+      body: "🔴 Update() шукає ворогів щокадру",
+      position: { new_path: "Assets/Scripts/Player.cs", new_line: 15 },
+    }),
+    (error) => {
+      assert.deepEqual(error.toJSON(), { category: "budget", reason: "budget_exhausted", posted: 1, budget: 1 });
+      assert.match(error.message, /fold the remaining findings into the summary note/);
+      return true;
+    }
+  );
+  assert.strictEqual(postedDiscussions().length, 1);
+
+  const content = runtimeServer.buildErrorContent(new runtimeServer.InlineBudgetError("budget_exhausted", "Budget", {}));
+  assert.strictEqual(JSON.parse(content[1].text).error.category, "budget");
+});
+
+test("positioned draft notes spend the same inline budget", async () => {
+  const draftArgs = { project_id: "group/game", merge_request_iid: "7" };
+  const postedDrafts = () =>
+    runtimeServer.replayedRequests.filter((request) => request.method === "POST" && request.endpoint.endsWith("/draft_notes"));
+
+  // The previous test spent the budget of one
+  await assert.rejects(
+    runtimeServer.executeTool("create_draft_note", {
+      ...draftArgs,
+      note: "🔴 Update() шукає ворогів щокадру",
+      position: { position_type: "text", new_path: "Assets/Scripts/Player.cs", new_line: 15 },
+    }),
+    (error) => error instanceof runtimeServer.InlineBudgetError && error.reason === "budget_exhausted"
+  );
+  await assert.rejects(
+    runtimeServer.executeTool("create_draft_note", {
+      ...draftArgs,
+      note: "🟢 Дрібниця",
+      position: { position_type: "text", new_path: "Assets/Scripts/Player.cs", new_line: 15 },
+    }),
+    (error) => error instanceof runtimeServer.InlineBudgetError && error.reason === "below_min_severity"
+  );
+  assert.strictEqual(postedDrafts().length, 0);
+
+  await runtimeServer.executeTool("create_draft_note", { ...draftArgs, note: "Дякую, виправлено.", in_reply_to_discussion_id: "d-1" });
+  assert.strictEqual(postedDrafts().length, 1, "Replies without a position are not inline findings");
+});
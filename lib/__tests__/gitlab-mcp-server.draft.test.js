@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadReplayServer } = require("./fixtures/replay-server.js");
+
+const runtimeServer = loadReplayServer({ GITLAB_MCP_REVIEW_MODE: "draft" });
+const {
+  computeAnchorFingerprint,
+  parseFindingMetadata,
+  stripFindingMetadata,
+} = require("../../gitlab-finding-metadata.js");
+
+// Assets/Scripts/Player.cs at the fixture head commit
+const PLAYER_HEAD_LINES = [
+  "using UnityEngine;",
+  "",
+  "public class Player : MonoBehaviour",
+  "{",
+  "    // Movement",
+  "    public float jumpForce = 5f;",
+  "    public float gravity = -9.81f;",
+  "    public Transform target;",
+  "    private bool grounded;",
+  "    private Rigidbody body;",
+  "    private float speed;",
+  "",
+  "    void Update()",
+  "    {",
+  "        var enemies = FindObjectsOfType<Enemy>();",
+  "    }",
+  "    void Start()",
+  "    {",
+  "    }",
+  "}",
+];
+
+function lastRequest(method) {
+  return [...runtimeServer.replayedRequests].reverse().find((request) => request.method === method);
+}
+
+test("draft mode refreshes a matching draft left by an earlier run", async () => {
+  const result = await runtimeServer.executeTool("create_anchored_discussion_auto", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    body: "🟡 Поле speed ніде не ініціалізується",
+    file_path: "Assets/Scripts/Player.cs",
+  });
+
+  const payload = JSON.parse(result.content[0].text);
+  assert.strictEqual(payload.action, "update_draft_note");
+  assert.strictEqual(lastRequest("PUT").endpoint, "/projects/group%2Fgame/merge_requests/7/draft_notes/77");
+  assert.ok(
+    !runtimeServer.replayedRequests.some((request) => request.endpoint.endsWith("/discussions") && request.method === "POST"),
+    "No live discussion is opened in draft mode"
+  );
+});
+
+test("draft mode stages new findings as positioned draft notes", async () => {
+  await runtimeServer.executeTool("create_anchored_discussion_auto", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    body: "🟠 Update() викликає пошук щокадру",
+    file_path: "Assets/Scripts/Player.cs",
+    line: 15,
+  });
+
+  const posted = lastRequest("POST");
+  assert.strictEqual(posted.endpoint, "/projects/group%2Fgame/merge_requests/7/draft_notes");
+  assert.strictEqual(stripFindingMetadata(posted.body.note), "🟠 Update() викликає пошук щокадру");
+  assert.strictEqual(posted.body.position.new_line, 15);
+
+  const metadata = parseFindingMetadata(posted.body.note);
+  assert.strictEqual(metadata.kind, "finding");
+  assert.strictEqual(metadata.severity, "high");
+  assert.strictEqual(metadata.file, "Assets/Scripts/Player.cs");
+  assert.strictEqual(metadata.line, 15);
+  assert.strictEqual(metadata.sha, "2".repeat(40));
+  assert.strictEqual(metadata.anchor, computeAnchorFingerprint(PLAYER_HEAD_LINES, 15));
+});
+
+test("create_draft_note stamps findings and replies with metadata", async () => {
+  const note = "🔴 Update() шукає ворогів щокадру";
+  await runtimeServer.executeTool("create_draft_note", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    note,
+    rule_id: "unity-update-allocation",
+    position: {
+      position_type: "text",
+      base_sha: "1".repeat(40),
+      start_sha: "1".repeat(40),
+      head_sha: "2".repeat(40),
+      new_path: "Assets/Scripts/Player.cs",
+      new_line: 15,
+    },
+  });
+  const finding = parseFindingMetadata(lastRequest("POST").body.note);
+  assert.strictEqual(stripFindingMetadata(lastRequest("POST").body.note), note);
+  assert.deepEqual(
+    [finding.kind, finding.severity, finding.rule, finding.file, finding.line],
+    ["finding", "critical", "unity-update-allocation", "Assets/Scripts/Player.cs", 15]
+  );
+  assert.strictEqual(finding.anchor, computeAnchorFingerprint(PLAYER_HEAD_LINES, 15));
+
+  await runtimeServer.executeTool("create_draft_note", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    note: "Дякую, виправлено.",
+    in_reply_to_discussion_id: "d-1",
+  });
+  assert.strictEqual(parseFindingMetadata(lastRequest("POST").body.note).kind, "reply");
+});
+
+test("publish_draft_notes publishes every draft in one bulk request", async () => {
+  const result = await runtimeServer.executeTool("publish_draft_notes", { project_id: "group/game", merge_request_iid: "7" });
+
+  assert.deepEqual(JSON.parse(result.content[0].text), { published: "all" });
+  assert.strictEqual(lastRequest("POST").endpoint, "/projects/group%2Fgame/merge_requests/7/draft_notes/bulk_publish");
+});
@@ -0,0 +1,486 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadReplayServer } = require("./fixtures/replay-server.js");
+
+const runtimeServer = loadReplayServer();
+const { computeFingerprint, parseFindingMetadata, stripFindingMetadata } = require("../../gitlab-finding-metadata.js");
+
+function lastRequest(method) {
+  return [...runtimeServer.replayedRequests].reverse().find((request) => request.method === method);
+}
+
+test("evaluate_review_gate reports the bot's unresolved critical findings across pages", async () => {
+  const result = await runtimeServer.executeTool("evaluate_review_gate", { project_id: "group/game", merge_request_iid: "7" });
+  const gate = JSON.parse(result.content[0].text);
+
+  assert.strictEqual(gate.passed, false);
+  assert.deepEqual(gate.blocking.map((finding) => finding.discussion_id), ["d-old-rewritten"]);
+  assert.strictEqual(gate.counts.medium, 1);
+
+  const lenient = JSON.parse(
+    (await runtimeServer.executeTool("evaluate_review_gate", {
+      project_id: "group/game",
+      merge_request_iid: "7",
+      max_findings: 1,
+    })).content[0].text
+  );
+  assert.strictEqual(lenient.passed, true);
+});
+
+test("create_anchored_discussion_auto updates the bot's earlier note found on a later page", async () => {
+  const result = await runtimeServer.executeTool("create_anchored_discussion_auto", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    body: "🟠 FindObjectsOfType у Update() викликається щокадру\n\nВинеси пошук у Start().",
+    file_path: "Assets/Scripts/Player.cs",
+  });
+
+  const payload = JSON.parse(result.content[0].text);
+  assert.strictEqual(payload.action, "update_note");
+  assert.strictEqual(payload.discussion_id, "d-bot");
+  assert.strictEqual(lastRequest("PUT").endpoint, "/projects/group%2Fgame/merge_requests/7/notes/9001");
+});
+
+test("create_anchored_discussion_auto anchors new findings to the first added line", async () => {
+  await runtimeServer.executeTool("create_anchored_discussion_auto", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    body: "🟡 Поле speed ніде не ініціалізується",
+    file_path: "Assets/Scripts/Player.cs",
+  });
+
+  const posted = lastRequest("POST");
+  assert.strictEqual(posted.endpoint, "/projects/group%2Fgame/merge_requests/7/discussions");
+  assert.strictEqual(posted.body.position.new_path, "Assets/Scripts/Player.cs");
+  assert.strictEqual(posted.body.position.new_line, 13);
+  assert.strictEqual(posted.body.position.head_sha, "2222222222222222222222222222222222222222");
+});
+
+test("create_anchored_discussion_auto widens suggestions that repeat the lines above", async () => {
+  await runtimeServer.executeTool("create_anchored_discussion_auto", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    body: "🟡 Кешуй список ворогів\n\n```suggestion\n    void Update()\n    {\n        var enemies = cachedEnemies;\n```",
+    file_path: "Assets/Scripts/Player.cs",
+    line: 15,
+  });
+
+  const posted = lastRequest("POST");
+  assert.strictEqual(posted.body.position.new_line, 15);
+  assert.match(posted.body.body, /```suggestion:-2\+0\n {4}void Update\(\)/);
+});
+
+test("create_anchored_discussion_auto downgrades suggestions with indentation drift", async () => {
+  await runtimeServer.executeTool("create_anchored_discussion_auto", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    body: "🟡 Кешуй список ворогів\n\n```suggestion\n  var enemies = cachedEnemies;\n```",
+    file_path: "Assets/Scripts/Player.cs",
+    line: 15,
+  });
+
+  const posted = lastRequest("POST");
+  assert.ok(!posted.body.body.includes("```suggestion"));
+  assert.match(posted.body.body, /Suggestion shown as plain code: indentation drift/);
+});
+
+test("update_note keeps the finding's metadata block and fingerprint", async () => {
+  await runtimeServer.executeTool("update_note", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    note_id: "9010",
+    body: "🔴 Поле target може бути null\n\nУточнення: падає при першому кадрі.",
+  });
+
+  const put = lastRequest("PUT");
+  assert.strictEqual(put.endpoint, "/projects/group%2Fgame/merge_requests/7/notes/9010");
+  assert.strictEqual(stripFindingMetadata(put.body.body), "🔴 Поле target може бути null\n\nУточнення: падає при першому кадрі.");
+  const metadata = parseFindingMetadata(put.body.body);
+  assert.strictEqual(metadata.fingerprint, computeFingerprint({ file: "Assets/Scripts/Player.cs", rule: "null-guard" }));
+  assert.deepEqual([metadata.kind, metadata.rule, metadata.line, metadata.severity], ["finding", "null-guard", 8, "critical"]);
+});
+
+test("discussion_add_note tags replies with reply metadata", async () => {
+  await runtimeServer.executeTool("discussion_add_note", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    discussion_id: "d-old-rewritten",
+    body: "Дякую, виправлено.",
+  });
+
+  const posted = lastRequest("POST");
+  assert.strictEqual(posted.endpoint, "/projects/group%2Fgame/merge_requests/7/discussions/d-old-rewritten/notes");
+  assert.strictEqual(stripFindingMetadata(posted.body.body), "Дякую, виправлено.");
+  assert.strictEqual(parseFindingMetadata(posted.body.body).kind, "reply");
+});
+
+test("resolve_discussion resolves threads the bot started", async () => {
+  const result = await runtimeServer.executeTool("resolve_discussion", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    discussion_id: "d-bot",
+  });
+
+  assert.strictEqual(JSON.parse(result.content[0].text).notes[0].resolved, true);
+  assert.strictEqual(lastRequest("PUT").endpoint, "/projects/group%2Fgame/merge_requests/7/discussions/d-bot?resolved=true");
+});
+
+test("resolve_discussion refuses threads started by someone else", async () => {
+  const before = runtimeServer.replayedRequests.length;
+  await assert.rejects(
+    runtimeServer.executeTool("resolve_discussion", {
+      project_id: "group/game",
+      merge_request_iid: "7",
+      discussion_id: "d-human",
+    }),
+    /Refusing to resolve discussion d-human: it was started by @dev, not by @gemini-bot/
+  );
+  assert.ok(!runtimeServer.replayedRequests.slice(before).some((request) => request.method === "PUT"));
+});
+
+test("reconcile_bot_discussions resolves findings whose code was rewritten", async () => {
+  const dryRun = await runtimeServer.executeTool("reconcile_bot_discussions", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    dry_run: true,
+  });
+  assert.deepEqual(
+    JSON.parse(dryRun.content[0].text).results.map((result) => [result.discussion_id, result.status, result.action]),
+    [
+      ["d-old-rewritten", "code_changed", "would_resolve"],
+      ["d-old-kept", "unchanged", "kept"],
+    ]
+  );
+
+  process.env.IGNORED_DISCUSSIONS = JSON.stringify(["d-old-kept"]);
+  try {
+    const result = await runtimeServer.executeTool("reconcile_bot_discussions", { project_id: "group/game", merge_request_iid: "7" });
+    assert.deepEqual(
+      JSON.parse(result.content[0].text).results.map((entry) => [entry.discussion_id, entry.action]),
+      [
+        ["d-old-rewritten", "resolved"],
+        ["d-old-kept", "skipped"],
+      ]
+    );
+  } finally {
+    delete process.env.IGNORED_DISCUSSIONS;
+  }
+  assert.match(lastRequest("POST").body.body, /змінено в останній версії MR \(22222222\)/);
+  assert.strictEqual(
+    lastRequest("PUT").endpoint,
+    "/projects/group%2Fgame/merge_requests/7/discussions/d-old-rewritten?resolved=true"
+  );
+});
+
+test("get_incremental_diff compares the last reviewed head with the current one", async () => {
+  const result = await runtimeServer.executeTool("get_incremental_diff", { project_id: "group/game", merge_request_iid: "7" });
+  const incremental = JSON.parse(result.content[0].text);
+
+  assert.strictEqual(incremental.mode, "incremental");
+  assert.strictEqual(incremental.since_sha, "3333333333333333333333333333333333333333");
+  assert.strictEqual(incremental.head_sha, "2222222222222222222222222222222222222222");
+  assert.deepEqual(incremental.commits.map((commit) => commit.title), ["Cache enemies in Update"]);
+  assert.strictEqual(incremental.changes[0].new_path, "Assets/Scripts/Player.cs");
+});
+
+test("get_incremental_diff asks for a full review when the reviewed SHA was force-pushed away", async () => {
+  const result = await runtimeServer.executeTool("get_incremental_diff", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    since_sha: "4444444444444444444444444444444444444444",
+  });
+  const incremental = JSON.parse(result.content[0].text);
+
+  assert.strictEqual(incremental.mode, "full");
+  assert.match(incremental.reason, /force-push/);
+  assert.strictEqual(incremental.since_sha, "4444444444444444444444444444444444444444");
+  assert.strictEqual(lastRequest("GET").endpoint, "/projects/group%2Fgame/merge_requests/7/versions");
+});
+
+test("create_issue_note stamps the bot's note with metadata", async () => {
+  await runtimeServer.executeTool("create_issue_note", { project_id: "group/game", issue_iid: "3", body: "Мітки: bug" });
+
+  const posted = lastRequest("POST");
+  assert.strictEqual(posted.endpoint, "/projects/group%2Fgame/issues/3/notes");
+  assert.strictEqual(stripFindingMetadata(posted.body.body), "Мітки: bug");
+  assert.strictEqual(parseFindingMetadata(posted.body.body).kind, "comment");
+});
+
+test("upsert_summary_note updates the previous summary with the next revision", async () => {
+  const result = await runtimeServer.executeTool("upsert_summary_note", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    body: "## 📋 Підсумок перевірки\n\nНових зауважень немає.",
+    reviewed_sha: "2222222222222222222222222222222222222222",
+    keep_history: true,
+  });
+
+  assert.deepEqual(
+    (({ action, revision }) => ({ action, revision }))(JSON.parse(result.content[0].text)),
+    { action: "updated", revision: 3 }
+  );
+  const put = lastRequest("PUT");
+  assert.strictEqual(put.endpoint, "/projects/group%2Fgame/merge_requests/7/notes/9050");
+  const parsed = runtimeServer.parseSummaryNote(put.body.body);
+  assert.strictEqual(parsed.reviewedSha, "2222222222222222222222222222222222222222");
+  assert.deepEqual(parsed.history.map((entry) => [entry.revision, entry.sha]), [
+    [2, "3333333333333333333333333333333333333333"],
+  ]);
+});
+
+test("set_commit_status posts a named gemini-review status for the head commit", async () => {
+  const result = await runtimeServer.executeTool("set_commit_status", {
+    project_id: "group/game",
+    sha: "2222222222222222222222222222222222222222",
+    state: "success",
+    description: "No blocking findings",
+  });
+
+  assert.strictEqual(JSON.parse(result.content[0].text).name, "gemini-review");
+  const posted = lastRequest("POST");
+  assert.strictEqual(posted.endpoint, "/projects/group%2Fgame/statuses/2222222222222222222222222222222222222222");
+  assert.deepEqual(posted.body, { state: "success", name: "gemini-review", description: "No blocking findings" });
+
+  await assert.rejects(
+    runtimeServer.executeTool("set_commit_status", { project_id: "group/game", sha: "main", state: "success" }),
+    /sha must be a commit SHA/
+  );
+  await assert.rejects(
+    runtimeServer.executeTool("set_commit_status", { project_id: "group/game", sha: "2222222", state: "green" }),
+    /state must be one of/
+  );
+});
+
+test("respond_external_status_check resolves the check by name and answers for the MR head", async () => {
+  await runtimeServer.executeTool("respond_external_status_check", {
+    project_id: "group/game",
+    merge_request_iid: "7",
+    name: "gemini-review",
+    status: "passed",
+  });
+
+  const posted = lastRequest("POST");
+  assert.strictEqual(posted.endpoint, "/projects/group%2Fgame/merge_requests/7/status_check_responses");
+  assert.deepEqual(posted.body, {
+    sha: "2222222222222222222222222222222222222222",
+    external_status_check_id: 12,
+    status: "passed",
+  });
+
+  await assert.rejects(
+    runtimeServer.executeTool("respond_external_status_check", {
+      project_id: "group/game",
+      merge_request_iid: "7",
+      name: "security-scan",
+      status: "passed",
+    }),
+    /No external status check named "security-scan"/
+  );
+});
+
+test("auto_approve_merge_request is refused unless auto-approval is enabled", async () => {
+  await assert.rejects(
+    runtimeServer.executeTool("auto_approve_merge_request", { project_id: "group/game", merge_request_iid: "7" }),
+    /Auto-approval is disabled/
+  );
+  assert.ok(!runtimeServer.replayedRequests.some((request) => request.endpoint.endsWith("/approve")));
+});
+
+test("update_merge_request labels the MR, requests a reviewer by username and marks it Draft", async () => {
+  const review = runtimeServer.resolveToolPolicy({ GITLAB_MCP_POLICY: "review" });
+  await runtimeServer.executeTool(
+    "update_merge_request",
+    {
+      project_id: "group/game",
+      merge_request_iid: "7",
+      add_labels: ["needs-perf-review"],
+      reviewer_usernames: ["@dev"],
+      draft: true,
+    },
+    review
+  );
+
+  const put = lastRequest("PUT");
+  assert.strictEqual(put.endpoint, "/projects/group%2Fgame/merge_requests/7");
+  assert.deepEqual(put.body, {
+    add_labels: "needs-perf-review",
+    reviewer_ids: [7],
+    title: "Draft: Add enemy tracking",
+  });
+});
+
+test("update_merge_request needs a policy capability to rewrite the description", async () => {
+  const args = { project_id: "group/game", merge_request_iid: "7", description: "Rewritten" };
+  const before = runtimeServer.replayedRequests.length;
+
+  await assert.rejects(
+    runtimeServer.executeTool("update_merge_request", args, runtimeServer.resolveToolPolicy({ GITLAB_MCP_POLICY: "review" })),
+    (error) =>
+      error instanceof runtimeServer.ToolPolicyError && error.tool === "update_merge_request:description"
+  );
+  assert.strictEqual(runtimeServer.replayedRequests.length, before);
+
+  const allowed = runtimeServer.resolveToolPolicy({
+    GITLAB_MCP_POLICY: "review",
+    GITLAB_MCP_ALLOWED_TOOLS: "update_merge_request:description",
+  });
+  await runtimeServer.executeTool("update_merge_request", args, allowed);
+  assert.deepEqual(lastRequest("PUT").body, { description: "Rewritten" });
+
+  await assert.rejects(
+    runtimeServer.executeTool("update_merge_request", { project_id: "group/game", merge_request_iid: "7" }, allowed),
+    /Nothing to update/
+  );
+});
+
+test("list_repository_tree and compare_refs pass path, recursion and refs through", async () => {
+  const tree = JSON.parse(
+    (await runtimeServer.executeTool("list_repository_tree", {
+      project_id: "group/game",
+      path: "Assets/Scripts",
+      recursive: true,
+    })).content[0].text
+  );
+  assert.deepEqual(
+    tree.filter((entry) => entry.type === "blob").map((entry) => entry.path),
+    ["Assets/Scripts/Enemies/Enemy.cs", "Assets/Scripts/Player.cs"]
+  );
+
+  const comparison = JSON.parse(
+    (await runtimeServer.executeTool("compare_refs", {
+      project_id: "group/game",
+      from: "main",
+      to: "feature/enemy-tracking",
+    })).content[0].text
+  );
+  assert.strictEqual(comparison.commits.length, 2);
+  assert.strictEqual(comparison.diffs[0].new_path, "Assets/Scripts/Player.cs");
+});
+
+test("get_file_blame blames the MR head and flags lines the MR introduced", async () => {
+  const result = await runtimeServer.executeTool("get_file_blame", {
+    project_id: "group/game",
+    file_path: "Assets/Scripts/Player.cs",
+    start_line: 13,
+    end_line: 16,
+    merge_request_iid: "7",
+  });
+  const blame = JSON.parse(result.content[0].text);
+
+  assert.strictEqual(blame.ref, "2".repeat(40));
+  assert.deepEqual(
+    blame.ranges.map((range) => [range.start_line, range.end_line, range.introduced_in_merge_request]),
+    [
+      [13, 14, false],
+      [15, 15, true],
+      [16, 16, false],
+    ]
+  );
+  assert.strictEqual(blame.ranges[1].commit.title, "Cache enemies in Update");
+
+  await assert.rejects(
+    runtimeServer.executeTool("get_file_blame", {
+      project_id: "group/game",
+      file_path: "Assets/Scripts/Player.cs",
+      start_line: 16,
+      end_line: 13,
+    }),
+    /start_line <= end_line/
+  );
+});
+
+test("get_file_contents reads a numbered line range from the default branch and reports what it read", async () => {
+  const result = await runtimeServer.executeTool("get_file_contents", {
+    project_id: "group/game",
+    file_path: "Assets/Scripts/Player.cs",
+    start_line: 13,
+    end_line: 15,
+    line_numbers: true,
+  });
+
+  assert.strictEqual(
+    result.content[0].text,
+    ["13 |     void Update()", "14 |     {", "15 |         var enemies = FindObjectsOfType<Enemy>();"].join("\n")
+  );
+  const metadata = JSON.parse(result.content[1].text);
+  assert.strictEqual(metadata.ref, "main");
+  assert.strictEqual(metadata.commit_id, "1".repeat(40));
+  assert.strictEqual(metadata.blob_id, "c3".repeat(20));
+  assert.strictEqual(metadata.last_commit_id, "1".repeat(40));
+  assert.deepEqual([metadata.start_line, metadata.end_line, metadata.total_lines, metadata.truncated], [13, 15, 20, false]);
+  assert.strictEqual(lastRequest("GET").endpoint, "/projects/group%2Fgame/repository/files/Assets%2FScripts%2FPlayer.cs/raw?ref=main");
+});
+
+test("get_file_contents returns only metadata for binary files", async () => {
+  const result = await runtimeServer.executeTool("get_file_contents", {
+    project_id: "group/game",
+    file_path: "Assets/Textures/icon.png",
+    ref: "main",
+  });
+
+  assert.match(result.content[0].text, /Binary file Assets\/Textures\/icon.png \(2048 bytes\) is not shown/);
+  const metadata = JSON.parse(result.content[1].text);
+  assert.strictEqual(metadata.binary, true);
+  assert.strictEqual(metadata.blob_id, "d4".repeat(20));
+  assert.ok(!("total_lines" in metadata));
+});
+
+test("create_branch and create_commit prepare a fix branch in one atomic commit", async () => {
+  await assert.rejects(
+    runtimeServer.executeTool(
+      "create_branch",
+      { project_id: "group/game", branch: "gemini/cache-enemies", ref: "main" },
+      runtimeServer.resolveToolPolicy({ GITLAB_MCP_POLICY: "review" })
+    ),
+    (error) => error instanceof runtimeServer.ToolPolicyError
+  );
+
+  const full = runtimeServer.resolveToolPolicy({ GITLAB_MCP_POLICY: "full" });
+  const branch = await runtimeServer.executeTool(
+    "create_branch",
+    { project_id: "group/game", branch: "gemini/cache-enemies", ref: "main" },
+    full
+  );
+  assert.strictEqual(JSON.parse(branch.content[0].text).name, "gemini/cache-enemies");
+  assert.deepEqual(lastRequest("POST").body, { branch: "gemini/cache-enemies", ref: "main" });
+
+  const args = {
+    project_id: "group/game",
+    branch: "gemini/cache-enemies",
+    commit_message: "Cache enemy lookup",
+    start_branch: "main",
+    actions: [
+      {
+        action: "update",
+        file_path: "Assets/Scripts/Player.cs",
+        content: "using UnityEngine;\n",
+        last_commit_id: "1".repeat(40),
+      },
+      {
+        action: "move",
+        file_path: "Assets/Scripts/Enemies/EnemyCache.cs",
+        previous_path: "Assets/Scripts/EnemyCache.cs",
+      },
+    ],
+  };
+  const commit = await runtimeServer.executeTool("create_commit", args, full);
+  assert.strictEqual(JSON.parse(commit.content[0].text).id, "4".repeat(40));
+  const posted = lastRequest("POST");
+  assert.strictEqual(posted.endpoint, "/projects/group%2Fgame/repository/commits");
+  assert.deepEqual(posted.body.actions.map((action) => action.action), ["update", "move"]);
+  assert.strictEqual(posted.body.start_branch, "main");
+
+  await assert.rejects(runtimeServer.executeTool("create_commit", args, full), (error) => {
+    assert.strictEqual(error.category, "validation");
+    assert.match(error.message, /has been changed since/);
+    return true;
+  });
+});
+
+test("replay mode reports requests that were never recorded", async () => {
+  const result = await runtimeServer.executeTool("get_issue", { project_id: "group/game", issue_iid: "99" }).catch(
+    (error) => error
+  );
+  assert.strictEqual(result.category, "not_found");
+  assert.match(result.message, /No recorded fixture for GET \/projects\/group%2Fgame\/issues\/99/);
+});
@@ -4,6 +4,8 @@ const fs = require("node:fs");
 const path = require("node:path");
 
 const runtimeServer = require("../../gitlab-mcp-server.js");
+const { buildFileDiff } = require("../../gitlab-diff-model.js");
+const { buildFindingMetadata, parseFindingMetadata, withFindingMetadata } = require("../../gitlab-finding-metadata.js");
 
 test("normalizeIssueSignature captures first meaningful line", () => {
   const sample = `
@@ -100,6 +102,624 @@ test("selectReusableNote returns note id for matching active discussion", () =>
   assert.deepEqual(selection, { discussionId: "active-discussion", noteId: 42 });
 });
 
+test("sameFinding prefers metadata fingerprints over titles", () => {
+  const withFingerprint = (title, fingerprint) =>
+    `${title}\n\n<!-- gemini:{"v":1,"kind":"finding","fingerprint":"${fingerprint}"} -->`;
+
+  assert.ok(runtimeServer.sameFinding(withFingerprint("🟠 Old title", "aaaa"), withFingerprint("🟡 Reworded", "aaaa")));
+  assert.ok(!runtimeServer.sameFinding(withFingerprint("🟠 Same title", "aaaa"), withFingerprint("🟠 Same title", "bbbb")));
+  assert.ok(runtimeServer.sameFinding("🟠 Same title", withFingerprint("🟠  same TITLE", "aaaa")));
+  assert.ok(!runtimeServer.sameFinding("🟠 Same title", "🟠 Other title"));
+});
+
+test("collectBotFindings returns metadata of the current user's finding threads", () => {
+  const metadataNote = (kind, fingerprint) =>
+    `Body\n\n<!-- gemini:{"v":1,"kind":"${kind}","fingerprint":"${fingerprint}","severity":"high"} -->`;
+  const discussions = [
+    { id: "open", notes: [{ id: 1, body: metadataNote("finding", "f1"), author: { id: 42 }, resolved: false }] },
+    { id: "done", notes: [{ id: 2, body: metadataNote("finding", "f2"), author: { id: 42 }, resolved: true }] },
+    { id: "summary", notes: [{ id: 3, body: metadataNote("summary", "summary"), author: { id: 42 } }] },
+    { id: "human", notes: [{ id: 4, body: metadataNote("finding", "f4"), author: { id: 7 } }] },
+    { id: "legacy", notes: [{ id: 5, body: "🟠 No metadata", author: { id: 42 } }] },
+  ];
+
+  const open = runtimeServer.collectBotFindings(discussions, { id: 42 });
+  assert.deepEqual(open.map((finding) => [finding.discussion_id, finding.note_id, finding.fingerprint]), [["open", 1, "f1"]]);
+  assert.strictEqual(open[0].severity, "high");
+  assert.strictEqual(open[0].resolved, false);
+
+  const all = runtimeServer.collectBotFindings(discussions, { id: 42 }, { includeResolved: true });
+  assert.deepEqual(all.map((finding) => finding.discussion_id), ["open", "done"]);
+});
+
+test("selectReusableNote follows findings whose lines moved or whose file was renamed", () => {
+  const title = "🟠 Кешуй пошук";
+  const finding = (file, anchor) => withFindingMetadata(title, buildFindingMetadata({ body: title, file, anchor }));
+  const discussions = [
+    {
+      id: "moved",
+      notes: [
+        {
+          id: 7,
+          body: finding("Old/Player.cs", "a1"),
+          position: { new_path: "Old/Player.cs", new_line: 15 },
+          author: { id: 100 },
+        },
+      ],
+    },
+  ];
+  const incoming = { new_path: "Old/Player.cs", new_line: 18 };
+
+  assert.deepEqual(
+    runtimeServer.selectReusableNote(discussions, { id: 100 }, incoming, finding("Old/Player.cs", "a1")),
+    { discussionId: "moved", noteId: 7 }
+  );
+  assert.strictEqual(
+    runtimeServer.selectReusableNote(discussions, { id: 100 }, incoming, finding("Old/Player.cs", "b2")),
+    null
+  );
+
+  const renamed = { new_path: "New/Player.cs", new_line: 18 };
+  const renamedBody = finding("New/Player.cs", "a1");
+  const model = [{ oldPath: "Old/Player.cs", newPath: "New/Player.cs", renamedFile: true }];
+  assert.notStrictEqual(parseFindingMetadata(renamedBody).fingerprint, parseFindingMetadata(discussions[0].notes[0].body).fingerprint);
+  assert.strictEqual(runtimeServer.selectReusableNote(discussions, { id: 100 }, renamed, renamedBody), null);
+  assert.deepEqual(
+    runtimeServer.selectReusableNote(discussions, { id: 100 }, renamed, renamedBody, new Set(), { model }),
+    { discussionId: "moved", noteId: 7 }
+  );
+  assert.strictEqual(
+    runtimeServer.selectReusableNote(
+      discussions,
+      { id: 100 },
+      renamed,
+      withFindingMetadata("🟠 Інша проблема", buildFindingMetadata({ body: "🟠 Інша проблема", file: "New/Player.cs", anchor: "a1" })),
+      new Set(),
+      { model }
+    ),
+    null
+  );
+
+  const legacy = [{ id: "legacy", notes: [{ ...discussions[0].notes[0], body: title }] }];
+  assert.deepEqual(
+    runtimeServer.selectReusableNote(legacy, { id: 100 }, incoming, finding("Old/Player.cs", "a1"), new Set(), {
+      noteAnchors: new Map([[7, "a1"]]),
+    }),
+    { discussionId: "legacy", noteId: 7 }
+  );
+});
+
+test("parseLinkHeader maps rel names to URLs", () => {
+  const header =
+    '<https://gitlab.example.com/api/v4/projects/1/issues?page=2&per_page=20>; rel="next", ' +
+    '<https://gitlab.example.com/api/v4/projects/1/issues?page=5&per_page=20>; rel="last"';
+  const links = runtimeServer.parseLinkHeader(header);
+
+  assert.strictEqual(links.next, "https://gitlab.example.com/api/v4/projects/1/issues?page=2&per_page=20");
+  assert.strictEqual(links.last, "https://gitlab.example.com/api/v4/projects/1/issues?page=5&per_page=20");
+  assert.deepEqual(runtimeServer.parseLinkHeader(undefined), {});
+});
+
+test("resolveNextPageUrl prefers same-origin Link and falls back to X-Next-Page", () => {
+  const apiUrl = "https://gitlab.example.com/api/v4";
+  const current = `${apiUrl}/projects/1/merge_requests/2/discussions?per_page=100`;
+
+  assert.strictEqual(
+    runtimeServer.resolveNextPageUrl(
+      current,
+      { link: `<${apiUrl}/projects/1/merge_requests/2/discussions?page=2&per_page=100>; rel="next"` },
+      apiUrl
+    ),
+    `${apiUrl}/projects/1/merge_requests/2/discussions?page=2&per_page=100`
+  );
+
+  assert.strictEqual(
+    runtimeServer.resolveNextPageUrl(
+      current,
+      { link: '<https://evil.example.org/steal?page=2>; rel="next"', "x-next-page": "2" },
+      apiUrl
+    ),
+    `${apiUrl}/projects/1/merge_requests/2/discussions?per_page=100&page=2`,
+    "Foreign Link origins must be ignored in favour of X-Next-Page"
+  );
+
+  assert.strictEqual(
+    runtimeServer.resolveNextPageUrl(current, { "x-next-page": "" }, apiUrl),
+    null,
+    "Empty X-Next-Page marks the last page"
+  );
+});
+
+test("computeRetryDelay honours Retry-After and RateLimit-Reset hints", () => {
+  const now = Date.parse("2026-01-01T00:00:00Z");
+
+  assert.strictEqual(
+    runtimeServer.computeRetryDelay(1, { "retry-after": "3" }, { now, maxDelayMs: 60000 }),
+    3000
+  );
+  assert.strictEqual(
+    runtimeServer.computeRetryDelay(1, { "retry-after": "Thu, 01 Jan 2026 00:00:10 GMT" }, { now, maxDelayMs: 60000 }),
+    10000
+  );
+  assert.strictEqual(
+    runtimeServer.computeRetryDelay(
+      1,
+      { "ratelimit-remaining": "0", "ratelimit-reset": String(now / 1000 + 5) },
+      { now, maxDelayMs: 60000 }
+    ),
+    5000
+  );
+  assert.strictEqual(
+    runtimeServer.computeRetryDelay(1, { "retry-after": "120" }, { now, maxDelayMs: 30000 }),
+    30000,
+    "Server hints are capped by the maximum delay"
+  );
+});
+
+test("computeRetryDelay backs off exponentially with jitter", () => {
+  const options = { baseDelayMs: 100, maxDelayMs: 10000 };
+  assert.strictEqual(runtimeServer.computeRetryDelay(1, null, { ...options, random: () => 0 }), 50);
+  assert.strictEqual(runtimeServer.computeRetryDelay(3, null, { ...options, random: () => 1 }), 400);
+  assert.strictEqual(runtimeServer.computeRetryDelay(20, null, { ...options, random: () => 1 }), 10000);
+});
+
+test("isRetryableStatus covers rate limits and server errors only", () => {
+  assert.ok(runtimeServer.isRetryableStatus(429));
+  assert.ok(runtimeServer.isRetryableStatus(503));
+  assert.ok(!runtimeServer.isRetryableStatus(404));
+  assert.ok(!runtimeServer.isRetryableStatus(422));
+});
+
+test("GitLabApiError exposes category, GitLab message and a token-free endpoint", () => {
+  const error = new runtimeServer.GitLabApiError({
+    status: 400,
+    statusText: "Bad Request",
+    method: "POST",
+    url: "https://gitlab.example.com/api/v4/projects/1/merge_requests/2/discussions?private_token=secret",
+    body: JSON.stringify({ message: { position: ["is invalid"], base: ["line_code can't be blank"] } }),
+  });
+
+  assert.strictEqual(error.category, "validation");
+  assert.match(error.message, /^GitLab API error: 400 Bad Request - position: is invalid; base: line_code can't be blank$/);
+  assert.ok(!JSON.stringify(error.toJSON()).includes("secret"), "Tokens must never be echoed back");
+
+  const content = runtimeServer.buildErrorContent(error);
+  assert.strictEqual(content.length, 2);
+  assert.deepEqual(JSON.parse(content[1].text).error.category, "validation");
+});
+
+test("assertInlineCommentAllowed enforces the severity floor and the budget", () => {
+  const high = runtimeServer.findSeverityLevel("high");
+  assert.strictEqual(runtimeServer.findSeverityLevel("🟠"), high);
+  assert.strictEqual(runtimeServer.findSeverityLevel("urgent"), null);
+
+  assert.doesNotThrow(() => runtimeServer.assertInlineCommentAllowed("🔴 Leak", { minSeverity: high, budget: 5, posted: 4 }));
+  assert.throws(
+    () => runtimeServer.assertInlineCommentAllowed("🟡 Naming", { minSeverity: high, budget: 0, posted: 0 }),
+    /Severity "medium" is below the minimum "high"/
+  );
+  assert.throws(
+    () => runtimeServer.assertInlineCommentAllowed("No emoji", { minSeverity: high, budget: 0, posted: 0 }),
+    /without a severity emoji/
+  );
+  assert.throws(
+    () => runtimeServer.assertInlineCommentAllowed("🔴 Leak", { minSeverity: null, budget: 5, posted: 5 }),
+    /budget reached \(5 of 5 posted this run\)/
+  );
+  assert.doesNotThrow(() => runtimeServer.assertInlineCommentAllowed("Plain", { minSeverity: null, budget: 0, posted: 99 }));
+});
+
+test("evaluateAutoApproval requires allowed paths and no blocking findings", () => {
+  const bot = { id: 42 };
+  const docsOnly = [{ old_path: "docs/setup.md", new_path: "docs/setup.md" }];
+  const finding = (body) => ({ id: "d-1", notes: [{ id: 1, body, resolvable: true, resolved: false, author: bot }] });
+  const decide = (overrides) =>
+    runtimeServer.evaluateAutoApproval({
+      changes: docsOnly,
+      discussions: [],
+      currentUser: bot,
+      allowedPaths: ["docs/**", "Assets/Localization/*.json"],
+      threshold: "high",
+      ...overrides,
+    });
+
+  assert.deepEqual(decide({}).reasons, []);
+  assert.strictEqual(decide({}).eligible, true);
+  assert.strictEqual(decide({ discussions: [finding("🟡 Typo")] }).eligible, true);
+  assert.deepEqual(decide({ discussions: [finding("🟠 Broken link")] }).reasons, ["1 unresolved finding(s) at or above high"]);
+
+  const renamedOut = decide({ changes: [{ old_path: "docs/setup.md", new_path: "src/setup.md" }] });
+  assert.deepEqual(renamedOut.disallowed_paths, ["src/setup.md"]);
+  assert.strictEqual(renamedOut.eligible, false);
+  assert.deepEqual(decide({ allowedPaths: [] }).reasons, ["No auto-approve paths are configured"]);
+  assert.deepEqual(decide({ changes: [] }).reasons, ["The merge request has no changes"]);
+
+  const overflowed = decide({ overflow: true });
+  assert.strictEqual(overflowed.eligible, false);
+  assert.deepEqual(overflowed.reasons, ["GitLab truncated the change list; not every changed path can be checked"]);
+});
+
+test("applyDraftState adds or strips the Draft title prefix", () => {
+  assert.strictEqual(runtimeServer.applyDraftState("Add enemy tracking", true), "Draft: Add enemy tracking");
+  assert.strictEqual(runtimeServer.applyDraftState("[Draft] Add enemy tracking", true), "Draft: Add enemy tracking");
+  assert.strictEqual(runtimeServer.applyDraftState("WIP: Add enemy tracking", false), "Add enemy tracking");
+  assert.strictEqual(runtimeServer.applyDraftState("Drafting tools", false), "Drafting tools");
+});
+
+test("categorizeGitlabStatus maps HTTP status codes to recovery categories", () => {
+  assert.strictEqual(runtimeServer.categorizeGitlabStatus(401), "auth");
+  assert.strictEqual(runtimeServer.categorizeGitlabStatus(403), "auth");
+  assert.strictEqual(runtimeServer.categorizeGitlabStatus(404), "not_found");
+  assert.strictEqual(runtimeServer.categorizeGitlabStatus(422), "validation");
+  assert.strictEqual(runtimeServer.categorizeGitlabStatus(429), "rate_limited");
+  assert.strictEqual(runtimeServer.categorizeGitlabStatus(502), "server");
+});
+
+test("policy presets only reference defined tools", () => {
+  const defined = new Set(runtimeServer.TOOL_DEFINITIONS.map((tool) => tool.name));
+  for (const [preset, tools] of Object.entries(runtimeServer.POLICY_PRESETS)) {
+    for (const tool of tools || []) {
+      assert.ok(defined.has(tool), `Preset ${preset} references unknown tool ${tool}`);
+    }
+  }
+});
+
+test("resolveToolPolicy applies presets, allow and deny lists", () => {
+  const unset = runtimeServer.resolveToolPolicy({});
+  assert.strictEqual(unset.preset, "readonly", "An unset policy must not expose write tools");
+  assert.ok(runtimeServer.isToolAllowed(unset, "get_merge_request"));
+  assert.ok(!runtimeServer.isToolAllowed(unset, "create_or_update_file"));
+  assert.ok(!runtimeServer.isToolAllowed(unset, "trigger_pipeline"));
+
+  const full = runtimeServer.resolveToolPolicy({ GITLAB_MCP_POLICY: "full" });
+  assert.ok(runtimeServer.isToolAllowed(full, "create_or_update_file"));
+
+  const review = runtimeServer.resolveToolPolicy({
+    GITLAB_MCP_POLICY: "review",
+    GITLAB_MCP_DENIED_TOOLS: "update_note",
+  });
+  assert.ok(runtimeServer.isToolAllowed(review, "create_anchored_discussion_auto"));
+  assert.ok(!runtimeServer.isToolAllowed(review, "create_or_update_file"));
+  assert.ok(!runtimeServer.isToolAllowed(review, "trigger_pipeline"));
+  assert.ok(!runtimeServer.isToolAllowed(review, "update_note"));
+  assert.ok(!runtimeServer.isToolAllowed(review, "set_commit_status"), "Statuses are the gate's job, not the model's");
+  assert.ok(!runtimeServer.isToolAllowed(review, "respond_external_status_check"));
+
+  const custom = runtimeServer.resolveToolPolicy({ GITLAB_MCP_ALLOWED_TOOLS: "get_issue, list_issues" });
+  assert.strictEqual(custom.preset, "custom");
+  assert.ok(runtimeServer.isToolAllowed(custom, "list_issues"));
+  assert.ok(!runtimeServer.isToolAllowed(custom, "get_merge_request"));
+
+  const unknown = runtimeServer.resolveToolPolicy({ GITLAB_MCP_POLICY: "yolo" });
+  assert.strictEqual(unknown.preset, "readonly", "Unknown presets must fail closed");
+  assert.ok(!runtimeServer.isToolAllowed(unknown, "discussion_add_note"));
+});
+
+test("executeTool rejects calls outside the active policy before touching GitLab", async () => {
+  const policy = runtimeServer.resolveToolPolicy({ GITLAB_MCP_POLICY: "review" });
+  await assert.rejects(
+    runtimeServer.executeTool(
+      "create_or_update_file",
+      { project_id: "1", file_path: "a.txt", content: "x", commit_message: "x", branch: "main" },
+      policy
+    ),
+    (error) => error instanceof runtimeServer.ToolPolicyError && error.category === "policy"
+  );
+});
+
+test("buildDryRunResponse mimics GitLab discussion and note payloads", () => {
+  const position = { position_type: "text", new_path: "a.cs", new_line: 3 };
+  const discussion = runtimeServer.buildDryRunResponse(
+    "POST",
+    "/projects/1/merge_requests/2/discussions",
+    { body: "🔴 finding", position }
+  );
+  assert.ok(discussion.dry_run);
+  assert.match(discussion.id, /^dry-run-\d+$/);
+  assert.strictEqual(discussion.notes[0].type, "DiffNote");
+  assert.deepEqual(discussion.notes[0].position, position);
+
+  const updated = runtimeServer.buildDryRunResponse("PUT", "/projects/1/merge_requests/2/notes/77", { body: "edit" });
+  assert.strictEqual(updated.id, "77");
+  assert.strictEqual(updated.body, "edit");
+});
+
+test("scrubFixtureValue blanks credential-like fields at any depth", () => {
+  const scrubbed = runtimeServer.scrubFixtureValue({
+    id: 1,
+    runners_token: "glrt-secret",
+    nested: [{ password: "hunter2", name: "ok" }],
+  });
+  assert.deepEqual(scrubbed, {
+    id: 1,
+    runners_token: "[scrubbed]",
+    nested: [{ password: "[scrubbed]", name: "ok" }],
+  });
+});
+
+test("selectAnchorLine lands removal findings on the deleted line", () => {
+  const fileDiff = buildFileDiff({
+    old_path: "Enemy.cs",
+    new_path: "Enemy.cs",
+    diff: [
+      "@@ -10,5 +10,5 @@",
+      " void Attack()",
+      " {",
+      "-    if (target == null) return;",
+      "+    animator.SetTrigger(\"attack\");",
+      "     target.Damage(power);",
+    ].join("\n"),
+  });
+  const keywords = runtimeServer.extractKeywords("🔴 Removed the target null check before target.Damage");
+
+  const removed = runtimeServer.selectAnchorLine(fileDiff, { keywords, lineType: "removed" });
+  assert.strictEqual(removed.type, "removed");
+  assert.strictEqual(removed.oldLine, 12);
+
+  const inferred = runtimeServer.selectAnchorLine(fileDiff, {
+    keywords: runtimeServer.extractKeywords("🔴 target null check was dropped"),
+  });
+  assert.strictEqual(inferred.type, "removed", "Keyword matches on removed lines are used without line_type");
+
+  const explicitContext = runtimeServer.selectAnchorLine(fileDiff, { lineType: "context", line: 13 });
+  assert.deepEqual([explicitContext.oldLine, explicitContext.newLine], [13, 13]);
+
+  assert.strictEqual(
+    runtimeServer.selectAnchorLine(fileDiff, { lineType: "added", line: 13 }),
+    null,
+    "Explicit lines must match the requested line_type"
+  );
+});
+
+test("completeDiffPosition fills line_range line codes and anchors on the range end", () => {
+  const model = [
+    buildFileDiff({
+      old_path: "Player.cs",
+      new_path: "Player.cs",
+      diff: ["@@ -10,2 +10,4 @@", " void Update()", "+    Move();", "+    Jump();", " }"].join("\n"),
+    }),
+  ];
+  const position = runtimeServer.completeDiffPosition(
+    {
+      position_type: "text",
+      base_sha: "b",
+      start_sha: "s",
+      head_sha: "h",
+      new_path: "Player.cs",
+      line_range: { start: { type: "new", new_line: 11 }, end: { type: "new", new_line: 12 } },
+    },
+    model
+  );
+
+  assert.strictEqual(position.new_line, 12);
+  assert.strictEqual(position.old_path, "Player.cs");
+  assert.match(position.line_range.start.line_code, /^[0-9a-f]{40}_11_11$/);
+  assert.match(position.line_range.end.line_code, /^[0-9a-f]{40}_11_12$/);
+});
+
+test("applySuggestionRange widens bare suggestion fences to the whole range", () => {
+  const position = {
+    new_line: 14,
+    line_range: { start: { type: "new", new_line: 11 }, end: { type: "new", new_line: 14 } },
+  };
+  const body = "🟠 Cache the transform\n\n```suggestion\nvar t = transform;\n```\n\n```suggestion:-1+0\nx\n```";
+
+  assert.strictEqual(
+    runtimeServer.applySuggestionRange(body, position),
+    "🟠 Cache the transform\n\n```suggestion:-3+0\nvar t = transform;\n```\n\n```suggestion:-1+0\nx\n```"
+  );
+  assert.strictEqual(runtimeServer.applySuggestionRange(body, { new_line: 14 }), body);
+});
+
+test("reviewSuggestions flags suggestions that rewrite unchanged code or leave the file", () => {
+  const fileDiff = buildFileDiff({
+    old_path: "Enemy.cs",
+    new_path: "Enemy.cs",
+    diff: ["@@ -1,3 +1,4 @@", " void Attack()", "     var power = 1;", "+    target.Damage(power);", " }"].join("\n"),
+  });
+  const fileLines = ["void Attack()", "    var power = 1;", "    target.Damage(power);", "}"];
+
+  const rewritesContext = runtimeServer.reviewSuggestions(
+    "```suggestion:-1+0\n    target?.Damage(power);\n```",
+    { fileLines, anchorLine: 3, fileDiff }
+  );
+  assert.deepEqual(rewritesContext.warnings, [{ block: 1, problems: ["would replace unchanged line(s) 2"] }]);
+  assert.ok(rewritesContext.body.startsWith("```\n    target?.Damage(power);"));
+
+  const outOfFile = runtimeServer.reviewSuggestions("```suggestion:-0+3\nx\n```", { fileLines, anchorLine: 3, fileDiff });
+  assert.match(outOfFile.warnings[0].problems[0], /targets lines 3-6 but the file has 4 lines/);
+
+  const valid = runtimeServer.reviewSuggestions("```suggestion\n    target?.Damage(power);\n```", {
+    fileLines,
+    anchorLine: 3,
+    fileDiff,
+  });
+  assert.deepEqual([valid.corrections, valid.warnings], [[], []]);
+  assert.strictEqual(valid.body, "```suggestion\n    target?.Damage(power);\n```");
+});
+
+test("selectReusableDraft matches drafts by position and issue signature", () => {
+  const position = { new_path: "Player.cs", old_path: "Player.cs", new_line: 13 };
+  const drafts = [
+    { id: 1, note: "🟡 Інша проблема", position },
+    { id: 2, note: "🟡 Поле speed не ініціалізується\n\nДеталі", position },
+  ];
+
+  assert.strictEqual(runtimeServer.selectReusableDraft(drafts, position, "🟡 Поле speed не ініціалізується").id, 2);
+  assert.strictEqual(
+    runtimeServer.selectReusableDraft(drafts, { ...position, new_line: 14 }, "🟡 Поле speed не ініціалізується"),
+    null
+  );
+});
+
+test("classifyFinding tells unchanged findings from rewritten or deleted code", () => {
+  const anchor = runtimeServer.findingAnchor({
+    head_sha: "h1",
+    base_sha: "b",
+    new_path: "Enemy.cs",
+    new_line: 12,
+    line_range: { start: { type: "new", new_line: 11 }, end: { type: "new", new_line: 12 } },
+  });
+  assert.deepEqual(anchor, { side: "new", path: "Enemy.cs", sha: "h1", start: 11, end: 12 });
+
+  const anchored = ["    if (target == null)", "        return;"];
+  assert.strictEqual(
+    runtimeServer.classifyFinding(anchored, "new", { fileLines: ["void Attack()", "{", "  if (target == null)", "", "    return;"] }),
+    "unchanged",
+    "Indentation and blank lines do not count as changes"
+  );
+  assert.strictEqual(
+    runtimeServer.classifyFinding(anchored, "new", { fileLines: ["if (target is null) return;"] }),
+    "code_changed"
+  );
+  assert.strictEqual(runtimeServer.classifyFinding(anchored, "new", { fileLines: null }), "file_removed");
+
+  const fileDiff = buildFileDiff({
+    old_path: "Enemy.cs",
+    new_path: "Enemy.cs",
+    diff: ["@@ -1,2 +1,1 @@", " void Attack()", "-    if (target == null) return;"].join("\n"),
+  });
+  assert.strictEqual(runtimeServer.classifyFinding(["if (target == null) return;"], "old", { fileDiff }), "unchanged");
+  assert.strictEqual(runtimeServer.classifyFinding(["Move();"], "old", { fileDiff }), "code_changed");
+});
+
+test("summarizeBlame numbers blame groups from the requested start line", () => {
+  const blame = [
+    { commit: { id: "a1", message: "Add player\n\nDetails", author_name: "Dev" }, lines: ["class Player", "{"] },
+    { commit: { id: "b2", message: "Tweak" }, lines: ["}"] },
+  ];
+
+  const ranges = runtimeServer.summarizeBlame(blame, { startLine: 5 });
+  assert.deepEqual(
+    ranges.map((range) => [range.start_line, range.end_line, range.commit.title]),
+    [
+      [5, 6, "Add player"],
+      [7, 7, "Tweak"],
+    ]
+  );
+  assert.ok(!("introduced_in_merge_request" in ranges[0]));
+
+  const flagged = runtimeServer.summarizeBlame(blame, { mergeRequestShas: new Set(["b2"]) });
+  assert.deepEqual(flagged.map((range) => range.introduced_in_merge_request), [false, true]);
+  assert.deepEqual(runtimeServer.summarizeBlame(null), []);
+});
+
+test("formatFileContents slices, numbers and truncates at whole lines", () => {
+  const text = Array.from({ length: 12 }, (_, index) => `line ${index + 1}`).join("\n") + "\n";
+
+  const range = runtimeServer.formatFileContents(text, { startLine: 9, endLine: 10, lineNumbers: true });
+  assert.strictEqual(range.text, " 9 | line 9\n10 | line 10");
+  assert.deepEqual([range.start_line, range.end_line, range.total_lines, range.truncated], [9, 10, 12, false]);
+
+  const cut = runtimeServer.formatFileContents(text, { maxBytes: 20 });
+  assert.deepEqual(cut.text.split("\n"), [
+    "line 1",
+    "line 2",
+    "… [truncated at 20 bytes: showing lines 1-2 of 12; pass start_line: 3 to continue]",
+  ]);
+  assert.strictEqual(cut.end_line, 2);
+  assert.strictEqual(cut.truncated, true);
+
+  assert.throws(() => runtimeServer.formatFileContents(text, { startLine: 13 }), /past the end of the file \(12 lines\)/);
+  assert.throws(() => runtimeServer.formatFileContents(text, { startLine: 5, endLine: 4 }), /start_line <= end_line/);
+});
+
+test("formatFileContents cuts a single line longer than max_bytes", () => {
+  const minified = "ї".repeat(100000);
+
+  const cut = runtimeServer.formatFileContents(minified, { maxBytes: 1001 });
+  const [content, marker] = cut.text.split("\n");
+  assert.strictEqual(content, "ї".repeat(500), "The cut must not split a two-byte character");
+  assert.strictEqual(marker, "… [truncated at 1001 bytes: line 1 of 1 is 200000 bytes long and was cut]");
+  assert.deepEqual([cut.end_line, cut.truncated], [1, true]);
+
+  const followed = runtimeServer.formatFileContents(`${"x".repeat(5000)}\nshort\n`, { maxBytes: 1000 });
+  assert.strictEqual(followed.text.split("\n")[0], "x".repeat(1000));
+  assert.match(followed.text, /line 1 of 2 is 5000 bytes long and was cut; pass start_line: 2 to continue\]$/);
+});
+
+test("buildCommitActions validates actions and drops fields GitLab would reject", () => {
+  assert.deepEqual(
+    runtimeServer.buildCommitActions([
+      { action: "create", file_path: "Docs/new.md", content: "", encoding: "text" },
+      { action: "delete", file_path: "Docs/old.md", content: "ignored", last_commit_id: "abcdef1" },
+      { action: "move", file_path: "B.cs", previous_path: "A.cs", extra: true },
+    ]),
+    [
+      { action: "create", file_path: "Docs/new.md", content: "", encoding: "text" },
+      { action: "delete", file_path: "Docs/old.md", last_commit_id: "abcdef1" },
+      { action: "move", file_path: "B.cs", previous_path: "A.cs" },
+    ]
+  );
+
+  assert.throws(() => runtimeServer.buildCommitActions([]), /non-empty array/);
+  assert.throws(() => runtimeServer.buildCommitActions([{ action: "chmod", file_path: "a" }]), /actions\[0\]\.action must be one of/);
+  assert.throws(() => runtimeServer.buildCommitActions([{ action: "update", file_path: "a" }]), /content is required for update/);
+  assert.throws(() => runtimeServer.buildCommitActions([{ action: "move", file_path: "b" }]), /previous_path is required/);
+  assert.throws(
+    () => runtimeServer.buildCommitActions([{ action: "delete", file_path: "a", last_commit_id: "main" }]),
+    /last_commit_id must be a commit SHA/
+  );
+});
+
+test("reviewed SHA marker is appended once and read back", () => {
+  const sha = "0123456789abcdef0123456789abcdef01234567";
+  const marked = runtimeServer.withReviewedSha("## Підсумок", sha);
+  assert.strictEqual(marked, `## Підсумок\n\n<!-- gemini-reviewed-sha:${sha} -->`);
+  assert.strictEqual(runtimeServer.parseReviewedSha(marked), sha);
+
+  const remarked = runtimeServer.withReviewedSha(marked, "abcdef1");
+  assert.strictEqual(remarked.match(/gemini-reviewed-sha/g).length, 1);
+  assert.strictEqual(runtimeServer.parseReviewedSha(remarked), "abcdef1");
+  assert.strictEqual(runtimeServer.parseReviewedSha("no marker"), null);
+});
+
+test("summary notes round-trip revision, reviewed SHA and history", () => {
+  const first = runtimeServer.buildSummaryBody("## Підсумок\n\nДві проблеми.", { revision: 1, reviewedSha: "aaaaaaa1" });
+  assert.match(first, /^<!-- gemini-review-summary revision:1 -->/);
+  assert.match(first, /_Revision 1 · reviewed at `aaaaaaa1`_/);
+  assert.strictEqual(runtimeServer.parseReviewedSha(first), "aaaaaaa1");
+
+  const parsedFirst = runtimeServer.parseSummaryNote(first);
+  assert.deepEqual(parsedFirst, { revision: 1, reviewedSha: "aaaaaaa1", summary: "## Підсумок\n\nДві проблеми.", history: [] });
+
+  const second = runtimeServer.buildSummaryBody("## Підсумок\n\nВсе виправлено.", {
+    revision: 2,
+    reviewedSha: "bbbbbbb2",
+    history: [{ revision: 1, sha: "aaaaaaa1", summary: parsedFirst.summary }],
+  });
+  assert.strictEqual(runtimeServer.parseReviewedSha(second), "bbbbbbb2", "Archived summaries carry no reviewed-SHA marker");
+  const parsedSecond = runtimeServer.parseSummaryNote(second);
+  assert.strictEqual(parsedSecond.summary, "## Підсумок\n\nВсе виправлено.");
+  assert.deepEqual(parsedSecond.history, [{ revision: 1, sha: "aaaaaaa1", summary: "## Підсумок\n\nДві проблеми." }]);
+  assert.strictEqual(runtimeServer.parseSummaryNote("## Summary without marker"), null);
+});
+
+test("draft-mode summary upserts refresh one pending draft and leave the published note alone", () => {
+  const notes = [{ id: 9050, body: runtimeServer.buildSummaryBody("Перший огляд.", { revision: 2, reviewedSha: "aaaaaaa1" }) }];
+
+  const first = runtimeServer.planSummaryUpsert("Другий огляд.", { notes, drafts: [], draftMode: true, reviewedSha: "bbbbbbb2" });
+  assert.deepEqual(
+    { target: first.target, id: first.id, revision: first.revision },
+    { target: "draft", id: null, revision: 3 }
+  );
+
+  const drafts = [{ id: 77, note: "Unrelated finding" }, { id: 501, note: first.body }];
+  const second = runtimeServer.planSummaryUpsert("Третій огляд.", { notes, drafts, draftMode: true, reviewedSha: "ccccccc3" });
+  assert.deepEqual(
+    { target: second.target, id: second.id, revision: second.revision },
+    { target: "draft", id: 501, revision: 3 },
+    "The second upsert must update the staged draft instead of staging another one"
+  );
+  assert.strictEqual(runtimeServer.parseSummaryNote(second.body).summary, "Третій огляд.");
+  assert.strictEqual(runtimeServer.parseSummaryNote(second.body).reviewedSha, "ccccccc3");
+
+  const live = runtimeServer.planSummaryUpsert("Живий огляд.", { notes, drafts, draftMode: false });
+  assert.deepEqual({ target: live.target, id: live.id, revision: live.revision }, { target: "note", id: 9050, revision: 3 });
+  const fresh = runtimeServer.planSummaryUpsert("Перший огляд.", { notes: [], draftMode: false });
+  assert.deepEqual({ target: fresh.target, id: fresh.id, revision: fresh.revision }, { target: "note", id: null, revision: 1 });
+});
+
 test("template server matches canonical implementation", () => {
   const canonical = fs.readFileSync(
     path.join(__dirname, "..", "..", "gitlab-mcp-server.js"),
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { parsePlan, isReplayable, formatPlanEntry } = require("../plan.js");
+
+test("parsePlan reads JSONL entries and skips blank lines", () => {
+  const content = [
+    JSON.stringify({ tool: "discussion_add_note", method: "POST", endpoint: "/projects/1/merge_requests/2/notes", body: { body: "hi" } }),
+    "",
+    JSON.stringify({ tool: "retry_pipeline", method: "POST", endpoint: "/projects/1/pipelines/9/retry", body: null }),
+  ].join("\n");
+
+  const entries = parsePlan(content);
+  assert.strictEqual(entries.length, 2);
+  assert.strictEqual(entries[1].tool, "retry_pipeline");
+});
+
+test("parsePlan reports the offending line", () => {
+  assert.throws(() => parsePlan('{"method":"POST","endpoint":"/x"}\nnot-json'), /line 2/);
+  assert.throws(() => parsePlan('{"tool":"x"}'), /missing method or endpoint/);
+});
+
+test("isReplayable rejects entries that target dry-run objects", () => {
+  assert.ok(isReplayable({ endpoint: "/projects/1/merge_requests/2/notes" }));
+  assert.ok(!isReplayable({ endpoint: "/projects/1/merge_requests/2/discussions/dry-run-3/notes" }));
+});
+
+test("formatPlanEntry includes method, endpoint, tool and payload", () => {
+  const output = formatPlanEntry(
+    { tool: "update_note", method: "PUT", endpoint: "/projects/1/merge_requests/2/notes/5", body: { body: "new text" } },
+    0
+  );
+  assert.match(output, /PUT/);
+  assert.match(output, /\/notes\/5/);
+  assert.match(output, /tool: update_note/);
+  assert.match(output, /"body": "new text"/);
+});
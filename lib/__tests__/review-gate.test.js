@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const { readGateConfig, describeGateResult, formatGateResult } = require("../review-gate.js");
+
+test("readGateConfig applies defaults and validates the mode", () => {
+  assert.deepEqual(readGateConfig({ CI_COMMIT_SHA: "abc", IGNORED_DISCUSSIONS: '["d-1"]' }), {
+    mode: "exit",
+    threshold: "critical",
+    maxFindings: 0,
+    statusCheckId: null,
+    sha: "abc",
+    ignoredIds: ["d-1"],
+  });
+  assert.strictEqual(
+    readGateConfig({ REVIEW_GATE_MODE: "Status", REVIEW_GATE_SEVERITY: "HIGH", IGNORED_DISCUSSIONS: "not-json" }).threshold,
+    "high"
+  );
+  assert.throws(() => readGateConfig({ REVIEW_GATE_MODE: "comment" }), /Unknown REVIEW_GATE_MODE/);
+  assert.throws(() => readGateConfig({ REVIEW_GATE_MODE: "external" }), /REVIEW_GATE_STATUS_CHECK_ID/);
+  assert.throws(() => readGateConfig({ REVIEW_GATE_MAX_FINDINGS: "-1" }), /non-negative integer/);
+});
+
+test("formatGateResult lists blocking findings and ignored threads", () => {
+  const result = {
+    passed: false,
+    threshold: "critical",
+    max_findings: 0,
+    blocking: [{ discussion_id: "d-1", severity: "critical", file: "Player.cs", line: 15, title: "🔴 leak" }],
+    ignored: ["d-2"],
+  };
+
+  assert.strictEqual(describeGateResult(result), "1 unresolved critical-or-worse finding exceed the limit of 0");
+  assert.strictEqual(
+    formatGateResult(result),
+    [
+      "[review-gate] FAILED: 1 unresolved critical-or-worse finding exceed the limit of 0",
+      "  - critical Player.cs:15 (discussion d-1): 🔴 leak",
+      "  ignored: d-2",
+    ].join("\n")
+  );
+  assert.match(formatGateResult({ ...result, passed: true, blocking: [], ignored: [] }), /PASSED: 0 unresolved critical-or-worse findings \(limit 0\)/);
+});
+
+test("template script matches canonical implementation", () => {
+  const canonical = fs.readFileSync(path.join(__dirname, "..", "review-gate.js"), "utf-8");
+  const template = fs.readFileSync(path.join(__dirname, "..", "templates", ".gitlab", "review-gate.js"), "utf-8");
+
+  assert.strictEqual(template, canonical);
+});
@@ -9,32 +9,19 @@
  * comments across commits.
  */
 
-const fetchModule = require("node-fetch");
-const fetch = fetchModule.default || fetchModule;
-
+const { describePosition } = require("../gitlab-diff-model.js");
 const {
-  CI_API_V4_URL,
-  CI_PROJECT_ID,
-  CI_MERGE_REQUEST_IID,
-  GITLAB_REVIEW_PAT,
-  GITLAB_TOKEN_HEADER = "PRIVATE-TOKEN",
-} = process.env;
-
-const API_BASE =
-  CI_API_V4_URL?.replace(/\/$/, "") ||
-  (process.env.GITLAB_API_URL
-    ? process.env.GITLAB_API_URL.replace(/\/$/, "")
-    : "https://gitlab.com/api/v4");
+  matchesIgnoreMarker,
+  parseFindingMetadata,
+  stripFindingMetadata,
+} = require("../gitlab-finding-metadata.js");
+const { MAX_PAGES, gitlabRequestAllPages } = require("./gitlab-client.js");
+
+const { CI_PROJECT_ID, CI_MERGE_REQUEST_IID, GITLAB_REVIEW_PAT } = process.env;
 
 const MAX_DISCUSSIONS = Number(process.env.MR_CONTEXT_MAX_DISCUSSIONS || 20);
 const MAX_NOTE_PREVIEW = Number(process.env.MR_CONTEXT_MAX_PREVIEW || 220);
 
-const IGNORE_PATTERNS = [
-  /@gemini\s+ignore/i,
-  /\/gemini\s+ignore/i,
-  /<!--\s*gemini-ignore\s*-->/i,
-];
-
 async function main() {
   try {
     if (!CI_PROJECT_ID || !CI_MERGE_REQUEST_IID || !GITLAB_REVIEW_PAT) {
@@ -45,13 +32,22 @@ async function main() {
       return;
     }
 
-    const discussions = await gitlabRequest(
+    const { items: discussions, truncated } = await gitlabRequestAllPages(
       `/projects/${encodeURIComponent(
         CI_PROJECT_ID
-      )}/merge_requests/${encodeURIComponent(CI_MERGE_REQUEST_IID)}/discussions`
+      )}/merge_requests/${encodeURIComponent(
+        CI_MERGE_REQUEST_IID
+      )}/discussions?per_page=100`
     );
+    if (truncated) {
+      console.error(
+        `[build-mr-context] Stopped after ${MAX_PAGES} pages of discussions (GITLAB_MAX_PAGES); later discussions are missing from the context.`
+      );
+    }
 
-    const { context, ignored } = summarizeDiscussions(discussions);
+    const { context, ignored } = summarizeDiscussions(discussions, {
+      truncated,
+    });
     outputExports(context, ignored);
   } catch (error) {
     console.error(
@@ -61,7 +57,7 @@ async function main() {
   }
 }
 
-function summarizeDiscussions(rawDiscussions) {
+function summarizeDiscussions(rawDiscussions, { truncated = false } = {}) {
   if (!Array.isArray(rawDiscussions) || rawDiscussions.length === 0) {
     return {
       context: "No existing discussions found.",
@@ -70,18 +66,22 @@ function summarizeDiscussions(rawDiscussions) {
   }
 
   const summaries = [];
-  const ignoredIds = new Set();
+  // Ignore markers are honoured on every discussion, not only the summarized ones
+  const ignoredIds = new Set(
+    rawDiscussions
+      .filter(
+        (discussion) =>
+          Array.isArray(discussion.notes) &&
+          discussion.notes.some((note) => matchesIgnoreMarker(note.body || ""))
+      )
+      .map((discussion) => discussion.id)
+  );
 
   for (const discussion of rawDiscussions.slice(0, MAX_DISCUSSIONS)) {
     const notes = Array.isArray(discussion.notes) ? discussion.notes : [];
     if (notes.length === 0) continue;
 
-    const ignoreRequested = notes.some((note) =>
-      matchesIgnoreMarker(note.body || "")
-    );
-    if (ignoreRequested) {
-      ignoredIds.add(discussion.id);
-    }
+    const ignoreRequested = ignoredIds.has(discussion.id);
 
     const latestMeaningfulNote =
       [...notes]
@@ -113,6 +113,7 @@ function summarizeDiscussions(rawDiscussions) {
     const flags = [];
     if (ignoreRequested) flags.push("ignored");
     if (latestMeaningfulNote?.author?.bot) flags.push("bot");
+    flags.push(...describeFinding(parseFindingMetadata(anchorNote?.body)));
 
     summaries.push(
       `- **${discussion.id}** (${location}, ${resolvedState}${
@@ -121,6 +122,13 @@ function summarizeDiscussions(rawDiscussions) {
     );
   }
 
+  if (truncated) {
+    // Ignore markers in the unread discussions are unknown, so tell the agent
+    summaries.push(
+      `- _Only the first ${MAX_PAGES} pages of discussions were loaded; later threads and their ignore markers are not listed._`
+    );
+  }
+
   const context =
     summaries.length > 0
       ? summaries.join("\n")
@@ -132,50 +140,30 @@ function summarizeDiscussions(rawDiscussions) {
   };
 }
 
-async function gitlabRequest(path) {
-  const url = `${API_BASE}${path}`;
-  const headers = {
-    "Content-Type": "application/json",
-  };
-
-  const headerKey = (GITLAB_TOKEN_HEADER || "PRIVATE-TOKEN").toLowerCase();
-  if (headerKey === "job-token") {
-    headers["JOB-TOKEN"] = GITLAB_REVIEW_PAT;
-  } else if (headerKey === "authorization" || headerKey === "bearer") {
-    headers.Authorization = `Bearer ${GITLAB_REVIEW_PAT}`;
-  } else {
-    const resolvedKey =
-      headerKey === "private-token" ? "PRIVATE-TOKEN" : GITLAB_TOKEN_HEADER;
-    headers[resolvedKey] = GITLAB_REVIEW_PAT;
-  }
-
-  const response = await fetch(url, { headers });
-  if (!response.ok) {
-    const body = await response.text();
-    throw new Error(
-      `${response.status} ${response.statusText} - ${body.slice(0, 200)}`
-    );
-  }
-  return response.json();
-}
-
-function matchesIgnoreMarker(text) {
-  return IGNORE_PATTERNS.some((pattern) => pattern.test(text));
+function buildLocation(position) {
+  const location = describePosition(position);
+  if (!location) return "General";
+  const file = location.path || "unknown-file";
+  if (!location.line) return file;
+  return location.side === "old"
+    ? `${file}:${location.line} (removed line)`
+    : `${file}:${location.line}`;
 }
 
-function buildLocation(position) {
-  if (!position) return "General";
-  const file = position.new_path || position.old_path || "unknown-file";
-  const line =
-    typeof position.new_line === "number"
-      ? position.new_line
-      : position.old_line;
-  return line ? `${file}:${line}` : file;
+// Flags for a bot finding, read from its hidden metadata block
+function describeFinding(metadata) {
+  if (!metadata || (metadata.kind && metadata.kind !== "finding")) return [];
+  const flags = [];
+  if (metadata.severity) flags.push(`severity: ${metadata.severity}`);
+  if (metadata.rule) flags.push(`rule: ${metadata.rule}`);
+  if (metadata.fingerprint) flags.push(`fingerprint: ${metadata.fingerprint}`);
+  return flags;
 }
 
 function buildPreview(body) {
   if (!body) return "_no text_";
-  const normalized = body.replace(/\s+/g, " ").trim();
+  const normalized = stripFindingMetadata(body).replace(/\s+/g, " ").trim();
+  if (!normalized) return "_no text_";
   if (normalized.length <= MAX_NOTE_PREVIEW) return escapeMarkdown(normalized);
   return `${escapeMarkdown(normalized.slice(0, MAX_NOTE_PREVIEW - 3))}...`;
 }
@@ -218,5 +206,6 @@ if (require.main === module) {
     matchesIgnoreMarker,
     buildLocation,
     buildPreview,
+    describeFinding,
   };
 }
@@ -0,0 +1,76 @@
+/**
+ * gitlab-client.js
+ *
+ * Minimal GitLab REST client shared by the CI helper scripts
+ * (build-mr-context.js, review-gate.js). It reads the same connection and
+ * pagination settings as the MCP server, including GITLAB_MAX_PAGES.
+ */
+
+const fetchModule = require("node-fetch");
+const fetch = fetchModule.default || fetchModule;
+
+const { CI_API_V4_URL, GITLAB_REVIEW_PAT, GITLAB_TOKEN_HEADER = "PRIVATE-TOKEN" } = process.env;
+
+const API_BASE =
+  CI_API_V4_URL?.replace(/\/$/, "") ||
+  (process.env.GITLAB_API_URL
+    ? process.env.GITLAB_API_URL.replace(/\/$/, "")
+    : "https://gitlab.com/api/v4");
+
+const MAX_PAGES = Math.max(1, Number(process.env.GITLAB_MAX_PAGES || 20));
+
+function buildHeaders() {
+  const headers = {
+    "Content-Type": "application/json",
+  };
+
+  const headerKey = (GITLAB_TOKEN_HEADER || "PRIVATE-TOKEN").toLowerCase();
+  if (headerKey === "job-token") {
+    headers["JOB-TOKEN"] = GITLAB_REVIEW_PAT;
+  } else if (headerKey === "authorization" || headerKey === "bearer") {
+    headers.Authorization = `Bearer ${GITLAB_REVIEW_PAT}`;
+  } else {
+    const resolvedKey =
+      headerKey === "private-token" ? "PRIVATE-TOKEN" : GITLAB_TOKEN_HEADER;
+    headers[resolvedKey] = GITLAB_REVIEW_PAT;
+  }
+  return headers;
+}
+
+async function gitlabFetch(path, { method = "GET", body } = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    headers: buildHeaders(),
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`${response.status} ${response.statusText} - ${text.slice(0, 200)}`);
+  }
+  return response;
+}
+
+async function gitlabRequest(path, options) {
+  const response = await gitlabFetch(path, options);
+  return response.json();
+}
+
+// Follows x-next-page for a path that already has a query string. `truncated` is true
+// when the page cap was reached with pages left unread.
+async function gitlabRequestAllPages(path, { maxPages = MAX_PAGES } = {}) {
+  const items = [];
+  let page = "1";
+  for (let count = 0; page && count < maxPages; count += 1) {
+    const response = await gitlabFetch(`${path}&page=${page}`);
+    const pageItems = await response.json();
+    if (Array.isArray(pageItems)) items.push(...pageItems);
+    page = response.headers.get("x-next-page");
+  }
+  return { items, truncated: Boolean(page) };
+}
+
+module.exports = {
+  MAX_PAGES,
+  gitlabRequest,
+  gitlabRequestAllPages,
+};
@@ -288,7 +288,7 @@ include:
   const gitlabDir = path.join(projectRoot, '.gitlab');
   await fs.mkdir(gitlabDir, { recursive: true });
 
-  const workflowFiles = ['merge-request-review.yml', 'issue-triage.yml', 'manual-invoke.yml', 'build-mr-context.js'];
+  const workflowFiles = ['merge-request-review.yml', 'issue-triage.yml', 'manual-invoke.yml', 'build-mr-context.js', 'review-gate.js', 'gitlab-client.js'];
   for (const file of workflowFiles) {
     const templatePath = path.join(templatesDir, '.gitlab', file);
     const targetPath = path.join(gitlabDir, file);
@@ -296,11 +296,17 @@ include:
   }
   console.log(chalk.green('✓ Created .gitlab/ directory with workflow files'));
 
-  // Step 5: Copy gitlab-mcp-server.js
+  // Step 5: Copy gitlab-mcp-server.js and its shared modules
   const serverTemplatePath = path.join(templatesDir, 'gitlab-mcp-server.js');
   const serverTargetPath = path.join(projectRoot, 'gitlab-mcp-server.js');
   await copyTemplate(serverTemplatePath, serverTargetPath, { gitlabUrl: config.gitlabUrl });
-  console.log(chalk.green('✓ Created gitlab-mcp-server.js'));
+  const diffModelTemplatePath = path.join(templatesDir, 'gitlab-diff-model.js');
+  const diffModelTargetPath = path.join(projectRoot, 'gitlab-diff-model.js');
+  await fs.copyFile(diffModelTemplatePath, diffModelTargetPath);
+  const metadataTemplatePath = path.join(templatesDir, 'gitlab-finding-metadata.js');
+  const metadataTargetPath = path.join(projectRoot, 'gitlab-finding-metadata.js');
+  await fs.copyFile(metadataTemplatePath, metadataTargetPath);
+  console.log(chalk.green('✓ Created gitlab-mcp-server.js, gitlab-diff-model.js and gitlab-finding-metadata.js'));
 
   // Step 6: Copy skills directory
   const skillsTemplateDir = path.join(templatesDir, '.skils');
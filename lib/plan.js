@@ -0,0 +1,129 @@
+/**
+ * Dry-run Plan Utilities
+ *
+ * Reads the JSONL plan written by gitlab-mcp-server.js when GITLAB_MCP_DRY_RUN
+ * is enabled, renders it for review, and replays it against GitLab.
+ */
+
+const fs = require('fs').promises;
+const fetch = require('node-fetch');
+const chalk = require('chalk');
+
+const DEFAULT_PLAN_FILE = 'gitlab-mcp-plan.jsonl';
+
+/**
+ * Parse JSONL plan content into entries
+ *
+ * @param {string} content - Raw plan file content
+ * @returns {Array<{timestamp: string, tool: string|null, method: string, endpoint: string, body: any}>}
+ */
+function parsePlan(content) {
+  const entries = [];
+  const lines = content.split(/\r?\n/);
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid plan entry on line ${index + 1}: ${error.message}`);
+    }
+    if (!entry || typeof entry.method !== 'string' || typeof entry.endpoint !== 'string') {
+      throw new Error(`Plan entry on line ${index + 1} is missing method or endpoint`);
+    }
+    entries.push(entry);
+  });
+  return entries;
+}
+
+/**
+ * Read and parse a plan file
+ *
+ * @param {string} planPath - Path to the JSONL plan file
+ */
+async function readPlan(planPath = DEFAULT_PLAN_FILE) {
+  const content = await fs.readFile(planPath, 'utf-8');
+  return parsePlan(content);
+}
+
+/**
+ * Entries that reference objects created earlier in the same dry run
+ * (e.g. a reply to a `dry-run-3` discussion) cannot be replayed.
+ */
+function isReplayable(entry) {
+  return !/dry-run-\d+/.test(entry.endpoint);
+}
+
+/**
+ * Render a single plan entry for the terminal
+ */
+function formatPlanEntry(entry, index) {
+  const header = `${chalk.bold(`#${index + 1}`)} ${chalk.cyan(entry.method)} ${entry.endpoint}`;
+  const lines = [header];
+  if (entry.tool) {
+    lines.push(chalk.gray(`   tool: ${entry.tool}`));
+  }
+  if (entry.timestamp) {
+    lines.push(chalk.gray(`   at:   ${entry.timestamp}`));
+  }
+  if (!isReplayable(entry)) {
+    lines.push(chalk.yellow('   ⚠️  depends on an object created during the dry run; will be skipped on apply'));
+  }
+  if (entry.body !== null && entry.body !== undefined) {
+    const body = typeof entry.body === 'string' ? entry.body : JSON.stringify(entry.body, null, 2);
+    lines.push(body.split('\n').map((line) => `   ${line}`).join('\n'));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Replay plan entries against GitLab in order
+ *
+ * @param {Array} entries - Parsed plan entries
+ * @param {{gitlabUrl: string, token: string}} options
+ * @returns {Promise<Array<{entry: object, status: string, error?: string}>>}
+ */
+async function applyPlan(entries, { gitlabUrl, token }) {
+  const apiUrl = gitlabUrl.replace(/\/+$/, '').endsWith('/api/v4')
+    ? gitlabUrl.replace(/\/+$/, '')
+    : `${gitlabUrl.replace(/\/+$/, '')}/api/v4`;
+  const results = [];
+
+  for (const entry of entries) {
+    if (!isReplayable(entry)) {
+      results.push({ entry, status: 'skipped' });
+      continue;
+    }
+    const response = await fetch(`${apiUrl}${entry.endpoint}`, {
+      method: entry.method,
+      headers: {
+        'PRIVATE-TOKEN': token,
+        'Content-Type': 'application/json'
+      },
+      body: entry.body === null || entry.body === undefined
+        ? undefined
+        : typeof entry.body === 'string' ? entry.body : JSON.stringify(entry.body)
+    });
+    if (response.ok) {
+      results.push({ entry, status: 'applied' });
+    } else {
+      const text = await response.text().catch(() => '');
+      results.push({
+        entry,
+        status: 'failed',
+        error: `HTTP ${response.status}: ${response.statusText}${text ? ` - ${text.slice(0, 200)}` : ''}`
+      });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_PLAN_FILE,
+  parsePlan,
+  readPlan,
+  isReplayable,
+  formatPlanEntry,
+  applyPlan
+};
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * review-gate.js
+ *
+ * Runs after the review job has published its findings. Counts the bot's
+ * unresolved discussions at or above REVIEW_GATE_SEVERITY (ignored threads
+ * excluded) and, when more than REVIEW_GATE_MAX_FINDINGS remain, fails the job
+ * or reports a failed commit status / external status check.
+ */
+
+const { evaluateSeverityGate } = require("../gitlab-finding-metadata.js");
+const { MAX_PAGES, gitlabRequest, gitlabRequestAllPages } = require("./gitlab-client.js");
+
+const { CI_PROJECT_ID, CI_MERGE_REQUEST_IID, GITLAB_REVIEW_PAT } = process.env;
+
+const GATE_MODES = ["exit", "status", "external"];
+const STATUS_NAME = process.env.REVIEW_GATE_STATUS_NAME || "gemini-review-gate";
+
+function readGateConfig(env = process.env) {
+  const mode = (env.REVIEW_GATE_MODE || "exit").trim().toLowerCase();
+  if (!GATE_MODES.includes(mode)) {
+    throw new Error(`Unknown REVIEW_GATE_MODE "${mode}"; use ${GATE_MODES.join(", ")}`);
+  }
+  const maxFindings = Number(env.REVIEW_GATE_MAX_FINDINGS || 0);
+  if (!Number.isInteger(maxFindings) || maxFindings < 0) {
+    throw new Error("REVIEW_GATE_MAX_FINDINGS must be a non-negative integer");
+  }
+  if (mode === "external" && !env.REVIEW_GATE_STATUS_CHECK_ID) {
+    throw new Error("REVIEW_GATE_MODE=external requires REVIEW_GATE_STATUS_CHECK_ID");
+  }
+  return {
+    mode,
+    threshold: (env.REVIEW_GATE_SEVERITY || "critical").trim().toLowerCase(),
+    maxFindings,
+    statusCheckId: env.REVIEW_GATE_STATUS_CHECK_ID || null,
+    sha: env.CI_MERGE_REQUEST_SOURCE_BRANCH_SHA || env.CI_COMMIT_SHA || null,
+    ignoredIds: parseIgnoredList(env.IGNORED_DISCUSSIONS),
+  };
+}
+
+function parseIgnoredList(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+async function main() {
+  try {
+    if (!CI_PROJECT_ID || !CI_MERGE_REQUEST_IID || !GITLAB_REVIEW_PAT) {
+      throw new Error("Missing required env vars CI_PROJECT_ID, CI_MERGE_REQUEST_IID, or GITLAB_REVIEW_PAT.");
+    }
+    const config = readGateConfig();
+    const mrPath = `/projects/${encodeURIComponent(CI_PROJECT_ID)}/merge_requests/${encodeURIComponent(
+      CI_MERGE_REQUEST_IID
+    )}`;
+    const [botUser, { items: discussions, truncated }] = await Promise.all([
+      gitlabRequest("/user"),
+      gitlabRequestAllPages(`${mrPath}/discussions?per_page=100`),
+    ]);
+    // Passing on a partial list could let a blocking finding through, so fail closed
+    if (truncated) {
+      throw new Error(
+        `The MR has more than ${MAX_PAGES} pages of discussions; raise GITLAB_MAX_PAGES so every finding is counted.`
+      );
+    }
+
+    const result = evaluateSeverityGate(discussions, botUser, config);
+    console.log(formatGateResult(result));
+
+    if (config.mode === "status") {
+      if (!config.sha) throw new Error("Cannot set a commit status without CI_COMMIT_SHA");
+      await gitlabRequest(`/projects/${encodeURIComponent(CI_PROJECT_ID)}/statuses/${config.sha}`, {
+        method: "POST",
+        body: {
+          state: result.passed ? "success" : "failed",
+          name: STATUS_NAME,
+          description: describeGateResult(result),
+          target_url: process.env.CI_JOB_URL || undefined,
+        },
+      });
+    } else if (config.mode === "external") {
+      if (!config.sha) throw new Error("Cannot answer a status check without CI_COMMIT_SHA");
+      await gitlabRequest(`${mrPath}/status_check_responses`, {
+        method: "POST",
+        body: {
+          sha: config.sha,
+          external_status_check_id: Number(config.statusCheckId),
+          status: result.passed ? "passed" : "failed",
+        },
+      });
+    } else if (!result.passed) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`[review-gate] ${error.message}`);
+    process.exitCode = 2;
+  }
+}
+
+function describeGateResult(result) {
+  const found = result.blocking.length;
+  const subject = `${found} unresolved ${result.threshold}-or-worse finding${found === 1 ? "" : "s"}`;
+  return result.passed ? `${subject} (limit ${result.max_findings})` : `${subject} exceed the limit of ${result.max_findings}`;
+}
+
+function formatGateResult(result) {
+  const lines = [`[review-gate] ${result.passed ? "PASSED" : "FAILED"}: ${describeGateResult(result)}`];
+  for (const finding of result.blocking) {
+    const location = finding.file ? ` ${finding.file}${finding.line ? `:${finding.line}` : ""}` : "";
+    lines.push(`  - ${finding.severity}${location} (discussion ${finding.discussion_id}): ${finding.title || ""}`);
+  }
+  if (result.ignored.length > 0) {
+    lines.push(`  ignored: ${result.ignored.join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = {
+    main,
+    readGateConfig,
+    describeGateResult,
+    formatGateResult,
+  };
+}